@@ -0,0 +1,68 @@
+// Decides whether a call arrives inside the property's office hours, from the voice context's
+//   "business_hours": {
+//     "timezone": "America/Chicago",
+//     "weekly": { "mon": ["09:00-17:00"], "sat": ["10:00-12:00", "13:00-15:00"] },
+//     "holidays": ["2026-12-25"]
+//   }
+// Days missing from `weekly` are closed all day; holidays are local dates in `timezone`.
+// Without a usable `business_hours` every call is treated as in hours.
+
+const RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+function parseRange(range) {
+  const match = String(range || "").match(RANGE_PATTERN);
+  if (!match) return null;
+  const [, openH, openM, closeH, closeM] = match.map(Number);
+  const open = openH * 60 + openM;
+  const close = closeH * 60 + closeM;
+  if (openM > 59 || closeM > 59 || close > 24 * 60 || open >= close) return null;
+  return { open, close };
+}
+
+// Wall-clock date, weekday and minute of the day in `timezone`; throws on an unknown zone.
+function localClock(now, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+    .formatToParts(now)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: parts.weekday.toLowerCase().slice(0, 3),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    localTime: `${date}T${parts.hour}:${parts.minute}`,
+  };
+}
+
+function checkBusinessHours(config, now = new Date()) {
+  if (!config || typeof config !== "object" || !config.timezone || !config.weekly) {
+    return { after_hours: false, reason: "not_configured", timezone: null, local_time: null };
+  }
+
+  const clock = localClock(now, config.timezone);
+  const decision = (afterHours, reason) => ({
+    after_hours: afterHours,
+    reason,
+    timezone: config.timezone,
+    local_time: clock.localTime,
+  });
+  const holidays = Array.isArray(config.holidays) ? config.holidays : [];
+  if (holidays.includes(clock.date)) return decision(true, "holiday");
+
+  const ranges = (config.weekly[clock.day] || []).map(parseRange).filter(Boolean);
+  const open = ranges.some((range) => clock.minutes >= range.open && clock.minutes < range.close);
+  return decision(!open, open ? "open" : "closed");
+}
+
+module.exports = { checkBusinessHours };
@@ -0,0 +1,186 @@
+// Sorts an issue description into emergency / urgent / routine. Keyword and phrase
+// matches are dropped when the same clause negates them ("there's no smell of gas")
+// or describes them as over ("the leak was fixed, but the sink is clogged").
+
+const TIERS = ["emergency", "urgent"];
+const NEGATION_WINDOW = 4;
+const NEGATION_CUES = new Set([
+  "no",
+  "not",
+  "never",
+  "without",
+  "dont",
+  "doesnt",
+  "didnt",
+  "isnt",
+  "arent",
+  "wasnt",
+  "werent",
+  "aint",
+  "cant",
+  "hasnt",
+  "havent",
+  "hadnt",
+  "wont",
+  "nothing",
+  "sin",
+  "nunca",
+  "ningun",
+  "ninguna",
+  "nada",
+  "tampoco",
+]);
+// Words that may sit between a negation and the term it negates ("no smell of gas",
+// "isn't any flooding"). Anything else in between, such as "stop" or "turn off" in
+// "won't stop flooding" or "can't turn off the gas", means the negation is about
+// something else, and usually that the problem is worse.
+const NEGATION_FILLERS = new Set([
+  "a",
+  "an",
+  "the",
+  "any",
+  "more",
+  "some",
+  "of",
+  "there",
+  "is",
+  "was",
+  "be",
+  "been",
+  "smell",
+  "smells",
+  "odor",
+  "sign",
+  "signs",
+  "trace",
+  "see",
+  "notice",
+  "hear",
+  "think",
+  "el",
+  "la",
+  "los",
+  "las",
+  "un",
+  "una",
+  "de",
+  "hay",
+  "olor",
+  "veo",
+]);
+const RESOLVED_CUES = [
+  "fixed",
+  "repaired",
+  "resolved",
+  "stopped",
+  "gone",
+  "cleared",
+  "patched",
+  "used to",
+  "no longer",
+  "arreglado",
+  "arreglada",
+  "arreglaron",
+  "reparado",
+  "repararon",
+  "ya no",
+  "se detuvo",
+];
+const CLAUSE_BREAK = /[.;!?,]|\b(?:but|although|though|however|except|pero|aunque|sino)\b/;
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function splitClauses(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(CLAUSE_BREAK)
+    .map(tokenize)
+    .filter((tokens) => tokens.length > 0);
+}
+
+function findPhrase(tokens, phraseTokens, from = 0) {
+  for (let i = from; i + phraseTokens.length <= tokens.length; i += 1) {
+    if (phraseTokens.every((token, offset) => tokens[i + offset] === token)) return i;
+  }
+  return -1;
+}
+
+// Negated only when the cue applies to the term itself: nothing but fillers may sit
+// between them, within NEGATION_WINDOW tokens.
+function isNegated(tokens, start) {
+  for (let i = start - 1; i >= Math.max(0, start - NEGATION_WINDOW); i -= 1) {
+    if (NEGATION_CUES.has(tokens[i])) return true;
+    if (!NEGATION_FILLERS.has(tokens[i])) return false;
+  }
+  return false;
+}
+
+// A resolved cue only counts when it is not negated itself: "has not been fixed" and
+// "never stopped" describe a problem that is still going on.
+function isResolved(tokens) {
+  return RESOLVED_CUES.some((cue) => {
+    const cueTokens = tokenize(cue);
+    let at = findPhrase(tokens, cueTokens);
+    while (at !== -1) {
+      if (!isNegated(tokens, at)) return true;
+      at = findPhrase(tokens, cueTokens, at + 1);
+    }
+    return false;
+  });
+}
+
+// Longest terms win, so "water leak" is reported once rather than also as "leak".
+function matchClause(tokens, termsByTier) {
+  const candidates = [];
+  TIERS.forEach((tier) => {
+    (termsByTier[tier] || []).forEach((term) => {
+      const termTokens = tokenize(term);
+      if (termTokens.length === 0) return;
+      let at = findPhrase(tokens, termTokens);
+      while (at !== -1) {
+        candidates.push({ term, tier, start: at, end: at + termTokens.length });
+        at = findPhrase(tokens, termTokens, at + 1);
+      }
+    });
+  });
+  candidates.sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start);
+
+  const kept = [];
+  candidates.forEach((match) => {
+    if (kept.some((other) => match.start < other.end && other.start < match.end)) return;
+    kept.push(match);
+  });
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+function classifySeverity(text, termsByTier = {}) {
+  const evidence = [];
+  const suppressed = [];
+
+  splitClauses(text).forEach((tokens) => {
+    const resolved = isResolved(tokens);
+    matchClause(tokens, termsByTier).forEach(({ term, tier, start }) => {
+      if (isNegated(tokens, start)) {
+        suppressed.push({ term, tier, reason: "negated" });
+      } else if (resolved) {
+        suppressed.push({ term, tier, reason: "resolved" });
+      } else if (!evidence.some((hit) => hit.term === term)) {
+        evidence.push({ term, tier });
+      }
+    });
+  });
+
+  const tier = TIERS.find((candidate) => evidence.some((hit) => hit.tier === candidate));
+  return { tier: tier || "routine", evidence, suppressed };
+}
+
+module.exports = { classifySeverity };
@@ -0,0 +1,357 @@
+const STEP_TYPES = ["compute", "review", "transfer", "language_select", "intent"];
+const INTENT_KINDS = ["maintenance", "human", "question"];
+const INPUT_TYPES = ["none", "text", "yes_no"];
+const CAPTURE_MODES = ["buffered"];
+const DTMF_MODES = { digits: "text", yes_no: "yes_no" };
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const RESERVED_FIELDS = new Set([
+  "call_control_id",
+  "flow",
+  "to_number",
+  "from_number",
+  "resident_id",
+  "recording",
+  "recording_mode",
+  "business_hours",
+  "status",
+  "step_reached",
+  "abandoned_reason",
+  "needs_callback",
+  "input_methods",
+  "language",
+  "transcript",
+  "conversation",
+  "created_at",
+  "severity_tier",
+  "severity_evidence",
+  "issue_category_terms",
+  "issue_details",
+]);
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function validateComputeStep(step, where, capturedFields, options, errors) {
+  const kind = step.compute || "emergency_keywords";
+  if (!options.computeKinds.includes(kind)) {
+    errors.push(`${where}: unknown compute "${kind}"`);
+  }
+  if (!isNonEmptyString(step.source_field)) {
+    errors.push(`${where}: source_field is required`);
+  } else if (!capturedFields.has(step.source_field)) {
+    errors.push(`${where}: source_field "${step.source_field}" is not captured by an earlier step`);
+  }
+  if (kind === "emergency_keywords") {
+    const keywords = step.emergency_keywords;
+    if (!Array.isArray(keywords) || keywords.length === 0 || !keywords.every(isNonEmptyString)) {
+      errors.push(`${where}: emergency_keywords must be a non-empty array of strings`);
+    }
+    const urgent = step.urgent_keywords;
+    if (urgent !== undefined && (!Array.isArray(urgent) || !urgent.every(isNonEmptyString))) {
+      errors.push(`${where}: urgent_keywords must be an array of strings`);
+    }
+  }
+  if (kind === "issue_category") {
+    const categories = step.categories;
+    if (!categories || typeof categories !== "object" || Array.isArray(categories)) {
+      errors.push(`${where}: categories must be an object of term lists`);
+    } else {
+      Object.entries(categories).forEach(([category, terms]) => {
+        if (!Array.isArray(terms) || terms.length === 0 || !terms.every(isNonEmptyString)) {
+          errors.push(`${where}: categories.${category} must be a non-empty array of strings`);
+        }
+      });
+    }
+  }
+}
+
+function validateReviewStep(step, where, inputFields, errors) {
+  if (step.field_name !== undefined) {
+    errors.push(`${where}: review steps cannot set field_name`);
+  }
+  ["prompt", "retry_prompt", "correction_prompt"].forEach((key) => {
+    if (!isNonEmptyString(step[key])) {
+      errors.push(`${where}: ${key} is required for review steps`);
+    }
+  });
+  if (!Array.isArray(step.fields) || step.fields.length === 0) {
+    errors.push(`${where}: fields must be a non-empty array`);
+  } else {
+    step.fields.forEach((field) => {
+      if (!inputFields.has(field)) {
+        errors.push(`${where}: review field "${field}" is not captured by an earlier input step`);
+      }
+    });
+  }
+  if (
+    step.max_retries !== undefined &&
+    (!Number.isInteger(step.max_retries) || step.max_retries < 0)
+  ) {
+    errors.push(`${where}: max_retries must be a non-negative integer`);
+  }
+}
+
+function validateTransferStep(step, where, capturedFields, errors) {
+  ["prompt", "fallback_prompt"].forEach((key) => {
+    if (!isNonEmptyString(step[key])) {
+      errors.push(`${where}: ${key} is required for transfer steps`);
+    }
+  });
+  if (!step.field_name) {
+    errors.push(`${where}: field_name is required for transfer steps`);
+  }
+  ["number_key", "unavailable_prompt"].forEach((key) => {
+    if (step[key] !== undefined && !isNonEmptyString(step[key])) {
+      errors.push(`${where}: ${key} must be a non-empty string`);
+    }
+  });
+  if (step.in_hours_only !== undefined && typeof step.in_hours_only !== "boolean") {
+    errors.push(`${where}: in_hours_only must be a boolean`);
+  }
+  const fallback = step.fallback_field;
+  if (typeof fallback !== "string" || !FIELD_NAME_PATTERN.test(fallback)) {
+    errors.push(`${where}: fallback_field must be snake_case`);
+  } else if (RESERVED_FIELDS.has(fallback)) {
+    errors.push(`${where}: fallback_field "${fallback}" is reserved`);
+  } else if (capturedFields.has(fallback) || fallback === step.field_name) {
+    errors.push(`${where}: duplicate field_name "${fallback}"`);
+  }
+}
+
+function validateIntentStep(step, where, errors) {
+  ["prompt", "followup_prompt"].forEach((key) => {
+    if (!isNonEmptyString(step[key])) {
+      errors.push(`${where}: ${key} is required for intent steps`);
+    }
+  });
+  if (!step.field_name) {
+    errors.push(`${where}: field_name is required for intent steps`);
+  }
+  const switchPhrases = step.switch_phrases;
+  if (
+    switchPhrases !== undefined &&
+    (!Array.isArray(switchPhrases) || !switchPhrases.every(isNonEmptyString))
+  ) {
+    errors.push(`${where}: switch_phrases must be an array of strings`);
+  }
+  const intents = step.intents;
+  if (!intents || typeof intents !== "object" || Array.isArray(intents)) {
+    errors.push(`${where}: intents must be an object of phrase lists`);
+    return;
+  }
+  Object.entries(intents).forEach(([kind, phrases]) => {
+    if (!INTENT_KINDS.includes(kind)) {
+      errors.push(`${where}: unknown intent "${kind}"`);
+    } else if (!Array.isArray(phrases) || !phrases.every(isNonEmptyString)) {
+      errors.push(`${where}: intents.${kind} must be an array of strings`);
+    }
+  });
+}
+
+function validateLanguageSelectStep(step, where, errors) {
+  if (step.field_name !== undefined && step.field_name !== null) {
+    errors.push(`${where}: language_select steps cannot set field_name`);
+  }
+  if (step.wait_ms !== undefined && (!Number.isInteger(step.wait_ms) || step.wait_ms <= 0)) {
+    errors.push(`${where}: wait_ms must be a positive integer`);
+  }
+}
+
+function validateReviewOptions(step, where, errors) {
+  if (
+    step.aliases !== undefined &&
+    (!Array.isArray(step.aliases) || !step.aliases.every(isNonEmptyString))
+  ) {
+    errors.push(`${where}: aliases must be an array of strings`);
+  }
+  ["review_text", "review_yes", "review_no"].forEach((key) => {
+    if (step[key] !== undefined && !isNonEmptyString(step[key])) {
+      errors.push(`${where}: ${key} must be a non-empty string`);
+    }
+  });
+}
+
+function validateInputStep(step, where, options, errors) {
+  const inputType = step.expected_input_type || "none";
+  if (!INPUT_TYPES.includes(inputType)) {
+    errors.push(`${where}: expected_input_type must be one of ${INPUT_TYPES.join(", ")}`);
+  }
+  if (!isNonEmptyString(step.prompt)) {
+    errors.push(`${where}: prompt is required`);
+  }
+  if (inputType !== "none" && !step.field_name) {
+    errors.push(`${where}: field_name is required for ${inputType} steps`);
+  }
+  if (inputType === "none" && step.field_name) {
+    errors.push(`${where}: none steps cannot set field_name`);
+  }
+  if (
+    step.max_retries !== undefined &&
+    (!Number.isInteger(step.max_retries) || step.max_retries < 0)
+  ) {
+    errors.push(`${where}: max_retries must be a non-negative integer`);
+  }
+  if (step.normalize !== undefined) {
+    if (!options.normalizers.includes(step.normalize)) {
+      errors.push(`${where}: unknown normalize "${step.normalize}"`);
+    } else if (inputType !== "text" || step.capture !== undefined) {
+      errors.push(`${where}: normalize is only supported on unbuffered text steps`);
+    }
+  }
+  if (step.readback_prompt !== undefined && !isNonEmptyString(step.readback_prompt)) {
+    errors.push(`${where}: readback_prompt must be a non-empty string`);
+  }
+  if (step.known_caller_prompt !== undefined && !isNonEmptyString(step.known_caller_prompt)) {
+    errors.push(`${where}: known_caller_prompt must be a non-empty string`);
+  }
+  if (step.prefill !== undefined) {
+    if (!options.prefillSources.includes(step.prefill)) {
+      errors.push(`${where}: unknown prefill "${step.prefill}"`);
+    } else if (inputType !== "text" || step.capture !== undefined) {
+      errors.push(`${where}: prefill is only supported on unbuffered text steps`);
+    }
+    if (!isNonEmptyString(step.prefill_prompt)) {
+      errors.push(`${where}: prefill_prompt is required with prefill`);
+    }
+  }
+  if (step.dtmf !== undefined) {
+    const dtmfInput = DTMF_MODES[step.dtmf];
+    if (!dtmfInput) {
+      errors.push(`${where}: dtmf must be one of ${Object.keys(DTMF_MODES).join(", ")}`);
+    } else if (inputType !== dtmfInput || step.capture !== undefined) {
+      errors.push(
+        `${where}: dtmf "${step.dtmf}" is only supported on unbuffered ${dtmfInput} steps`
+      );
+    }
+    if (!isNonEmptyString(step.keypad_hint)) {
+      errors.push(`${where}: keypad_hint is required with dtmf`);
+    }
+  }
+  if (step.capture !== undefined) {
+    if (!CAPTURE_MODES.includes(step.capture)) {
+      errors.push(`${where}: unknown capture "${step.capture}"`);
+    } else if (inputType !== "text") {
+      errors.push(`${where}: capture is only supported on text steps`);
+    }
+  }
+  if (step.seeded_prompt !== undefined) {
+    if (!isNonEmptyString(step.seeded_prompt)) {
+      errors.push(`${where}: seeded_prompt must be a non-empty string`);
+    } else if (step.capture !== "buffered") {
+      errors.push(`${where}: seeded_prompt is only supported on buffered steps`);
+    }
+  }
+}
+
+function validateFlowDefinition(definition, options = {}) {
+  const opts = { computeKinds: [], normalizers: [], prefillSources: [], ...options };
+  const errors = [];
+
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    return { valid: false, errors: ["flow definition must be an object"] };
+  }
+  if (!isNonEmptyString(definition.flow)) {
+    errors.push("flow must be a non-empty string");
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    errors.push("steps must be a non-empty array");
+    return { valid: false, errors };
+  }
+
+  const stepIds = new Set();
+  const capturedFields = new Set();
+  const inputFields = new Set();
+  let hasIntentStep = false;
+
+  definition.steps.forEach((step, index) => {
+    const where = `steps[${index}]`;
+    if (!step || typeof step !== "object" || Array.isArray(step)) {
+      errors.push(`${where}: step must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(step.step_id)) {
+      errors.push(`${where}: step_id is required`);
+    } else if (stepIds.has(step.step_id)) {
+      errors.push(`${where}: duplicate step_id "${step.step_id}"`);
+    } else {
+      stepIds.add(step.step_id);
+    }
+
+    if (step.type !== undefined && !STEP_TYPES.includes(step.type)) {
+      errors.push(`${where}: unknown type "${step.type}"`);
+    }
+
+    if (step.field_name !== undefined && step.field_name !== null) {
+      if (typeof step.field_name !== "string" || !FIELD_NAME_PATTERN.test(step.field_name)) {
+        errors.push(`${where}: field_name must be snake_case`);
+      } else if (RESERVED_FIELDS.has(step.field_name)) {
+        errors.push(`${where}: field_name "${step.field_name}" is reserved`);
+      } else if (capturedFields.has(step.field_name)) {
+        errors.push(`${where}: duplicate field_name "${step.field_name}"`);
+      }
+    }
+
+    if (step.only_if_emergency !== undefined && typeof step.only_if_emergency !== "boolean") {
+      errors.push(`${where}: only_if_emergency must be a boolean`);
+    } else if (step.only_if_emergency !== undefined && !capturedFields.has("is_emergency")) {
+      errors.push(`${where}: only_if_emergency needs an earlier step that sets is_emergency`);
+    }
+
+    if (step.only_if_intent !== undefined && !INTENT_KINDS.includes(step.only_if_intent)) {
+      errors.push(`${where}: only_if_intent must be one of ${INTENT_KINDS.join(", ")}`);
+    } else if (step.only_if_intent && !hasIntentStep) {
+      errors.push(`${where}: only_if_intent needs an earlier intent step`);
+    }
+
+    ["only_if_after_hours", "interruptible"].forEach((key) => {
+      if (step[key] !== undefined && typeof step[key] !== "boolean") {
+        errors.push(`${where}: ${key} must be a boolean`);
+      }
+    });
+
+    Object.keys(step)
+      .filter((key) => key.startsWith("after_hours_"))
+      .forEach((key) => {
+        if (!isNonEmptyString(step[key])) {
+          errors.push(`${where}: ${key} must be a non-empty string`);
+        }
+      });
+
+    if (step.summary_label !== undefined && !isNonEmptyString(step.summary_label)) {
+      errors.push(`${where}: summary_label must be a non-empty string`);
+    }
+
+    if (step.type === "compute") {
+      if (!step.field_name) {
+        errors.push(`${where}: field_name is required for compute steps`);
+      }
+      validateComputeStep(step, where, capturedFields, opts, errors);
+    } else if (step.type === "review") {
+      validateReviewStep(step, where, inputFields, errors);
+    } else if (step.type === "transfer") {
+      validateTransferStep(step, where, capturedFields, errors);
+    } else if (step.type === "language_select") {
+      validateLanguageSelectStep(step, where, errors);
+    } else if (step.type === "intent") {
+      validateIntentStep(step, where, errors);
+      hasIntentStep = true;
+    } else {
+      validateInputStep(step, where, opts, errors);
+      validateReviewOptions(step, where, errors);
+    }
+
+    if (typeof step.field_name === "string") {
+      capturedFields.add(step.field_name);
+      if (!step.type) inputFields.add(step.field_name);
+    }
+    if (step.type === "transfer" && typeof step.fallback_field === "string") {
+      capturedFields.add(step.fallback_field);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = { validateFlowDefinition };
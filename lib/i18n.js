@@ -0,0 +1,339 @@
+// Per-language speech settings and prompt catalogs. Flow steps carry their English text;
+// a catalog entry replaces a step key (prompt, review_text, aliases, keyword lists...)
+// for its language, and `strings` holds the engine's own phrases.
+// Tenants can add or override entries with the voice context's `prompt_catalogs`,
+// shaped like CATALOGS below.
+
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: {
+    tts: "en-US",
+    stt: "en-US",
+    yes_words: ["yes", "yeah", "yep", "sure", "ok", "okay", "affirmative"],
+    no_words: ["no", "nope", "nah", "negative"],
+    select_words: ["english", "inglés"],
+    callback_windows: {
+      morning: ["morning", "before noon"],
+      afternoon: ["afternoon", "after lunch"],
+      evening: ["evening", "night", "after work"],
+      anytime: ["any time", "anytime", "whenever"],
+    },
+  },
+  es: {
+    tts: "es-US",
+    stt: "es",
+    yes_words: ["sí", "claro", "correcto", "afirmativo", "vale", "de acuerdo", "está bien"],
+    no_words: ["no", "negativo", "para nada"],
+    select_words: ["español", "spanish", "castellano", "en español"],
+    callback_windows: {
+      morning: ["mañana", "por la mañana"],
+      afternoon: ["tarde", "por la tarde"],
+      evening: ["noche", "por la noche"],
+      anytime: ["cualquier hora", "cuando sea", "a cualquier hora"],
+    },
+  },
+};
+
+const CATALOGS = {
+  en: {
+    strings: {
+      language_select: "For English, say English.",
+      readback_prompt: "I heard {value}. Is that right? Please say yes or no.",
+      readback_retry_lead: "Okay, let's try that again.",
+      unrecognized_retry_lead: "Sorry, I didn't catch that.",
+      silence_reprompt: "How can I help you today?",
+      silence_goodbye:
+        "I haven’t heard anything, so I’ll end the call now. If you still need help, please call us back. Goodbye.",
+      callback_offer: "Would you like someone to call you back?",
+      callback_confirm_number: "Should we call you back at {number}? Please say yes or no.",
+      callback_ask_number: "What number should we call you back at?",
+      callback_number_retry:
+        "Sorry, I didn’t get a full phone number. Please say it one digit at a time.",
+      callback_ask_window: "What time works best for the call: morning, afternoon, or evening?",
+      callback_confirmed: "Thanks. Someone will call you back at {number}.",
+      callback_declined: "Okay.",
+      callback_no_number:
+        "I couldn’t get a number to call you back on, so please call us again when it suits you.",
+      faq_long_answer:
+        "That one is too long to go through on the phone, so please check with the office.",
+      recording_notice: "This call is recorded to keep an accurate record of your request.",
+      unit_word: "unit",
+      building_word: "building",
+    },
+    steps: {},
+  },
+  es: {
+    strings: {
+      language_select: "Para español, diga español.",
+      readback_prompt: "Escuché {value}. ¿Es correcto? Por favor, diga sí o no.",
+      readback_retry_lead: "Bien, intentémoslo de nuevo.",
+      unrecognized_retry_lead: "Perdón, no le entendí.",
+      silence_reprompt: "¿En qué le puedo ayudar hoy?",
+      silence_goodbye:
+        "No he escuchado nada, así que terminaré la llamada. Si todavía necesita ayuda, vuelva a llamarnos. Adiós.",
+      callback_offer: "¿Quiere que alguien le devuelva la llamada?",
+      callback_confirm_number: "¿Le devolvemos la llamada al {number}? Por favor, diga sí o no.",
+      callback_ask_number: "¿A qué número le devolvemos la llamada?",
+      callback_number_retry:
+        "Perdón, no escuché un número de teléfono completo. Por favor, dígalo dígito por dígito.",
+      callback_ask_window: "¿A qué hora le conviene más la llamada: mañana, tarde o noche?",
+      callback_confirmed: "Gracias. Alguien le devolverá la llamada al {number}.",
+      callback_declined: "Está bien.",
+      callback_no_number:
+        "No pude obtener un número para devolverle la llamada; por favor, llámenos de nuevo cuando le convenga.",
+      faq_long_answer:
+        "Esa respuesta es demasiado larga para darla por teléfono; por favor, consulte con la oficina.",
+      recording_notice: "Esta llamada se graba para mantener un registro preciso de su solicitud.",
+      unit_word: "unidad",
+      building_word: "edificio",
+    },
+    steps: {
+      greeting: {
+        prompt:
+          "Gracias por llamar a mantenimiento de apartamentos. Estoy aquí para ayudarle con su solicitud de mantenimiento.",
+        known_caller_prompt:
+          "Hola {name}, gracias por llamar a mantenimiento de apartamentos. Estoy aquí para ayudarle con su solicitud de mantenimiento.",
+        after_hours_prompt:
+          "Gracias por llamar a mantenimiento de apartamentos. La oficina está cerrada en este momento, pero puedo tomar su solicitud de mantenimiento.",
+        after_hours_known_caller_prompt:
+          "Hola {name}, gracias por llamar a mantenimiento de apartamentos. La oficina está cerrada en este momento, pero puedo tomar su solicitud de mantenimiento.",
+      },
+      intent: {
+        prompt:
+          "¿Llama por un problema de mantenimiento, tiene una pregunta o quiere hablar con alguien?",
+        followup_prompt:
+          "¿Algo más? Puede describir un problema de mantenimiento, hacer otra pregunta o pedir hablar con una persona.",
+        after_hours_prompt: "¿Llama por un problema de mantenimiento o tiene una pregunta?",
+        after_hours_followup_prompt:
+          "¿Algo más? Puede describir un problema de mantenimiento o hacer otra pregunta.",
+        switch_phrases: ["hablar con", "comunicarme con", "transferirme", "pásame", "páseme"],
+        intents: {
+          human: [
+            "representante",
+            "humano",
+            "una persona",
+            "persona real",
+            "hablar con alguien",
+            "operador",
+            "operadora",
+            "agente",
+            "recepción",
+          ],
+          maintenance: [
+            "mantenimiento",
+            "reparación",
+            "reparar",
+            "arreglar",
+            "roto",
+            "rota",
+            "no funciona",
+            "fuga",
+            "gotea",
+            "gotera",
+            "problema",
+          ],
+          question: [
+            "pregunta",
+            "qué es",
+            "qué hora",
+            "cuándo es",
+            "cuándo abre",
+            "dónde está",
+            "dónde puedo",
+            "cómo puedo",
+            "cuánto",
+            "tienen",
+          ],
+        },
+      },
+      representative_transfer: {
+        prompt: "Bien, le estoy comunicando con alguien de la oficina. Por favor, no cuelgue.",
+        fallback_prompt:
+          "No pude comunicarme con nadie en la oficina, así que les pedí que le devuelvan la llamada lo antes posible. Adiós.",
+        unavailable_prompt:
+          "No puedo comunicarle con alguien en este momento, pero puedo tomar su solicitud de mantenimiento.",
+        after_hours_unavailable_prompt:
+          "La oficina está cerrada en este momento, así que no puedo comunicarle con alguien, pero puedo tomar su solicitud de mantenimiento.",
+      },
+      unit_number: {
+        prompt: "Para comenzar, ¿cuál es el número de su unidad?",
+        prefill_prompt: "¿Se trata de la {value}? Por favor, diga sí o no.",
+        keypad_hint:
+          "También puede marcar el número de su unidad en el teclado y luego presionar la tecla numeral.",
+        aliases: ["unidad", "apartamento", "departamento", "dirección"],
+        review_text: "Unidad {value}.",
+      },
+      issue_description: {
+        prompt: "Por favor, describa brevemente el problema de mantenimiento que tiene.",
+        seeded_prompt: "Mencionó: {value}. Si quiere agregar algo, dígalo ahora; si no, continuaré.",
+        aliases: ["problema", "descripción"],
+        review_text: "El problema es: {value}.",
+      },
+      emergency_detection: {
+        emergency_keywords: [
+          "fuego",
+          "incendio",
+          "humo",
+          "gas",
+          "fuga de gas",
+          "olor a gas",
+          "monóxido de carbono",
+          "inundación",
+          "inundado",
+          "tubería rota",
+          "aguas negras",
+          "sin calefacción",
+          "chispas",
+        ],
+        urgent_keywords: [
+          "fuga",
+          "gotera",
+          "goteando",
+          "fuga de agua",
+          "sin agua caliente",
+          "sin luz",
+          "desbordando",
+          "me quedé afuera",
+          "cerradura rota",
+        ],
+      },
+      issue_categorization: {
+        categories: {
+          plumbing: [
+            "fuga",
+            "gotera",
+            "goteando",
+            "tapado",
+            "tapada",
+            "atascado",
+            "desagüe",
+            "drenaje",
+            "inodoro",
+            "lavabo",
+            "fregadero",
+            "llave del agua",
+            "grifo",
+            "tubería",
+            "ducha",
+            "tina",
+            "calentador de agua",
+            "agua caliente",
+            "inundación",
+          ],
+          electrical: [
+            "enchufe",
+            "tomacorriente",
+            "luz",
+            "luces",
+            "interruptor",
+            "chispas",
+            "cables",
+            "fusible",
+            "breaker",
+          ],
+          hvac: [
+            "calefacción",
+            "calentador",
+            "sin calefacción",
+            "aire acondicionado",
+            "termostato",
+            "ventilación",
+          ],
+          appliance: [
+            "refrigerador",
+            "nevera",
+            "congelador",
+            "lavaplatos",
+            "lavavajillas",
+            "lavadora",
+            "secadora",
+            "horno",
+            "estufa",
+            "microondas",
+            "triturador",
+          ],
+          pest: ["insectos", "cucarachas", "ratones", "ratas", "hormigas", "chinches", "plaga"],
+          lockout: ["cerradura", "llaves", "me quedé afuera", "no puedo entrar"],
+        },
+      },
+      emergency_ack: {
+        prompt:
+          "Entiendo que esto parece urgente. Si está en peligro, llame al 911 ahora. Registraré esto como una emergencia de mantenimiento.",
+      },
+      emergency_transfer: {
+        prompt:
+          "Le estoy comunicando con nuestro equipo de mantenimiento de guardia. Por favor, no cuelgue.",
+        fallback_prompt:
+          "No pude comunicarme con el equipo de guardia, así que marqué esto como urgente y alguien le devolverá la llamada lo antes posible. Adiós.",
+      },
+      permission_to_enter: {
+        prompt:
+          "¿Tenemos permiso para entrar a su unidad si usted no está en casa? Por favor, diga sí o no.",
+        keypad_hint: "También puede presionar 1 para sí o 2 para no.",
+        aliases: ["permiso", "entrar", "entrada"],
+        review_yes: "Tenemos permiso para entrar.",
+        review_no: "No tenemos permiso para entrar.",
+      },
+      pets_present: {
+        prompt: "¿Hay mascotas en la unidad? Por favor, diga sí o no.",
+        keypad_hint: "También puede presionar 1 para sí o 2 para no.",
+        aliases: ["mascota", "mascotas", "perro", "gato"],
+        review_yes: "Hay mascotas en la unidad.",
+        review_no: "No hay mascotas en la unidad.",
+      },
+      review: {
+        prompt: "Antes de enviarlo, esto es lo que tengo. {summary} ¿Es todo correcto?",
+        retry_prompt: "¿Está todo correcto? Diga sí, o dígame qué parte está mal.",
+        correction_prompt:
+          "¿Qué parte debo corregir: la unidad, el problema, el permiso para entrar o las mascotas?",
+      },
+      confirmation: {
+        prompt: "Entendido. Enviaré esta solicitud de mantenimiento ahora.",
+      },
+      next_business_day: {
+        prompt:
+          "La oficina está cerrada en este momento, así que el equipo le dará seguimiento el próximo día hábil.",
+      },
+      end_call: {
+        prompt: "Gracias por llamar. Adiós.",
+      },
+    },
+  },
+};
+
+// "es-MX" and "ES" both resolve to "es"; unknown languages resolve to null.
+function resolveLanguage(code) {
+  const base = String(code || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : null;
+}
+
+function tenantCatalog(tenantCatalogs, language) {
+  const catalog = tenantCatalogs && tenantCatalogs[language];
+  return catalog && typeof catalog === "object" ? catalog : {};
+}
+
+function catalogString(language, key, tenantCatalogs) {
+  const tenant = tenantCatalog(tenantCatalogs, language).strings || {};
+  const builtin = CATALOGS[language]?.strings || {};
+  return tenant[key] ?? builtin[key] ?? CATALOGS[DEFAULT_LANGUAGE].strings[key];
+}
+
+// The built-in step entries translate the built-in flow only; a tenant's own flow shares
+// step ids with it but not its wording, so pass `builtin: false` and rely on the tenant's
+// catalogs alone.
+function catalogStepText(language, step, key, tenantCatalogs, { builtin = true } = {}) {
+  const tenant = (tenantCatalog(tenantCatalogs, language).steps || {})[step.step_id] || {};
+  const shipped = builtin ? CATALOGS[language]?.steps?.[step.step_id] || {} : {};
+  return tenant[key] ?? shipped[key] ?? step[key];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  resolveLanguage,
+  catalogString,
+  catalogStepText,
+};
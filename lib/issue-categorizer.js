@@ -0,0 +1,143 @@
+// Rule-based routing hints for an issue description: which trade it belongs to,
+// plus the room, the appliance and whether the problem is still going on.
+
+const DEFAULT_CATEGORY = "other";
+const ROOMS = {
+  kitchen: ["kitchen", "cocina"],
+  bathroom: ["bathroom", "bath room", "restroom", "washroom", "powder room", "baño"],
+  bedroom: ["bedroom", "bed room", "master bedroom", "recámara", "dormitorio", "habitación"],
+  living_room: ["living room", "family room", "lounge", "sala"],
+  dining_room: ["dining room", "comedor"],
+  laundry_room: ["laundry room", "laundry", "lavandería"],
+  hallway: ["hallway", "hall", "corridor", "pasillo"],
+  closet: ["closet", "armario"],
+  basement: ["basement", "sótano"],
+  garage: ["garage", "garaje", "cochera"],
+  balcony: ["balcony", "patio", "deck", "balcón"],
+  entryway: ["entryway", "entry", "front door", "foyer", "entrada", "puerta principal"],
+};
+const APPLIANCES = {
+  refrigerator: ["refrigerator", "fridge", "refrigerador", "nevera"],
+  freezer: ["freezer", "congelador"],
+  dishwasher: ["dishwasher", "dish washer", "lavaplatos", "lavavajillas"],
+  washer: ["washer", "washing machine", "lavadora"],
+  dryer: ["dryer", "secadora"],
+  oven: ["oven", "horno"],
+  stove: ["stove", "range", "cooktop", "burner", "estufa"],
+  microwave: ["microwave", "microondas"],
+  garbage_disposal: ["garbage disposal", "disposal", "triturador"],
+  water_heater: ["water heater", "hot water heater", "boiler", "calentador de agua"],
+  furnace: ["furnace", "calefactor"],
+  air_conditioner: ["air conditioner", "air conditioning", "ac", "a c", "aire acondicionado"],
+  thermostat: ["thermostat", "termostato"],
+  ceiling_fan: ["ceiling fan", "ventilador de techo"],
+  exhaust_fan: ["exhaust fan", "bathroom fan", "vent fan", "extractor"],
+  smoke_detector: ["smoke detector", "smoke alarm", "fire alarm", "detector de humo"],
+};
+// Ongoing cues are checked first so "the fridge stopped working" reads as still happening.
+const ONGOING_CUES = [
+  "still",
+  "right now",
+  "currently",
+  "keeps",
+  "wont stop",
+  "will not stop",
+  "cant stop",
+  "getting worse",
+  "as we speak",
+  "stopped working",
+  "not working",
+  "isnt working",
+  "doesnt work",
+  "todavía",
+  "aún",
+  "sigue",
+  "ahora mismo",
+  "en este momento",
+  "no para",
+  "no deja de",
+  "dejó de funcionar",
+  "no funciona",
+];
+const STOPPED_CUES = [
+  "stopped",
+  "went away",
+  "was fixed",
+  "used to",
+  "earlier today",
+  "ya paró",
+  "se detuvo",
+  "ya no",
+  "arreglaron",
+];
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function findPhrase(tokens, phrase) {
+  const phraseTokens = tokenize(phrase);
+  if (phraseTokens.length === 0) return -1;
+  for (let i = 0; i + phraseTokens.length <= tokens.length; i += 1) {
+    if (phraseTokens.every((token, offset) => tokens[i + offset] === token)) return i;
+  }
+  return -1;
+}
+
+// Returns the lexicon key whose phrase appears earliest; longer phrases win ties.
+function firstMention(tokens, lexicon) {
+  let best = null;
+  Object.entries(lexicon).forEach(([key, phrases]) => {
+    phrases.forEach((phrase) => {
+      const at = findPhrase(tokens, phrase);
+      if (at === -1) return;
+      const length = tokenize(phrase).length;
+      if (!best || at < best.at || (at === best.at && length > best.length)) {
+        best = { key, at, length };
+      }
+    });
+  });
+  return best ? best.key : null;
+}
+
+// Scores each category by how many of its terms appear; multi-word terms count per word.
+// Ties go to the category mentioned first ("the dishwasher will not drain").
+function categorizeIssue(text, categories) {
+  const tokens = tokenize(text);
+  let best = { category: DEFAULT_CATEGORY, score: 0, at: Infinity, terms: [] };
+  Object.entries(categories || {}).forEach(([category, terms]) => {
+    const hits = (terms || []).filter((term) => findPhrase(tokens, term) !== -1);
+    if (hits.length === 0) return;
+    const score = hits.reduce((total, term) => total + tokenize(term).length, 0);
+    const at = Math.min(...hits.map((term) => findPhrase(tokens, term)));
+    if (score > best.score || (score === best.score && at < best.at)) {
+      best = { category, score, at, terms: hits };
+    }
+  });
+  return { category: best.category, terms: best.terms };
+}
+
+function extractIssueDetails(text) {
+  const tokens = tokenize(text);
+  const mentions = (cues) => cues.some((cue) => findPhrase(tokens, cue) !== -1);
+  let stillHappening = null;
+  if (mentions(ONGOING_CUES)) {
+    stillHappening = true;
+  } else if (mentions(STOPPED_CUES)) {
+    stillHappening = false;
+  }
+  return {
+    room: firstMention(tokens, ROOMS),
+    appliance: firstMention(tokens, APPLIANCES),
+    still_happening: stillHappening,
+  };
+}
+
+module.exports = { categorizeIssue, extractIssueDetails, DEFAULT_CATEGORY };
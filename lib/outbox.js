@@ -0,0 +1,303 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Append-only JSONL journal. Each line is one of:
+//   { op: "enqueue", id, kind, key, payload, created_at }
+//   { op: "attempt", id, attempts, next_attempt_at, last_error }
+//   { op: "ack", id }
+//   { op: "dead", id, reason }
+// Replaying the journal rebuilds the pending and dead-lettered items.
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: 2000,
+  maxDelayMs: 5 * 60 * 1000,
+  maxAttempts: 8,
+  compactAfterLines: 500,
+};
+
+function backoffDelay(attempts, options) {
+  const exp = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  const jitter = exp * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exp + jitter));
+}
+
+function createOutbox({ filePath, send, ...overrides }) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const items = new Map();
+  let journalLines = 0;
+  // Set when an enqueue couldn't be written; the next drain rewrites the journal first.
+  let journalStale = false;
+  let timer = null;
+  let draining = false;
+
+  function append(record) {
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, "utf8");
+    journalLines += 1;
+  }
+
+  function apply(record) {
+    if (record.op === "enqueue") {
+      items.set(record.id, {
+        id: record.id,
+        kind: record.kind,
+        key: record.key,
+        payload: record.payload,
+        created_at: record.created_at,
+        attempts: 0,
+        next_attempt_at: 0,
+        last_error: null,
+        dead: false,
+        dead_at: null,
+      });
+      return;
+    }
+    const item = items.get(record.id);
+    if (!item) return;
+    if (record.op === "attempt") {
+      item.attempts = record.attempts;
+      item.next_attempt_at = record.next_attempt_at;
+      item.last_error = record.last_error;
+    } else if (record.op === "ack") {
+      items.delete(record.id);
+    } else if (record.op === "dead") {
+      item.dead = true;
+      item.dead_at = record.dead_at;
+      item.last_error = record.reason || item.last_error;
+    }
+  }
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const lines = [];
+    items.forEach((item) => {
+      lines.push({
+        op: "enqueue",
+        id: item.id,
+        kind: item.kind,
+        key: item.key,
+        payload: item.payload,
+        created_at: item.created_at,
+      });
+      if (item.attempts > 0) {
+        lines.push({
+          op: "attempt",
+          id: item.id,
+          attempts: item.attempts,
+          next_attempt_at: item.next_attempt_at,
+          last_error: item.last_error,
+        });
+      }
+      if (item.dead) {
+        lines.push({ op: "dead", id: item.id, reason: item.last_error, dead_at: item.dead_at });
+      }
+    });
+    const body = lines.map((line) => JSON.stringify(line)).join("\n");
+    fs.writeFileSync(tmpPath, body ? `${body}\n` : "", "utf8");
+    fs.renameSync(tmpPath, filePath);
+    journalLines = lines.length;
+    journalStale = false;
+  }
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+      const raw = fs.readFileSync(filePath, "utf8");
+      let skipped = 0;
+      raw.split("\n").forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          apply(JSON.parse(line));
+        } catch (_e) {
+          // A crash mid-append can leave a torn last line.
+          skipped += 1;
+        }
+      });
+      if (skipped > 0) {
+        console.warn(
+          JSON.stringify({
+            level: "warn",
+            message: "Skipped unreadable outbox journal lines",
+            file: filePath,
+            skipped,
+          })
+        );
+      }
+    }
+    compact();
+    const pending = Array.from(items.values()).filter((item) => !item.dead).length;
+    console.log(`[v5 Outbox] loaded file=${filePath} pending=${pending} dead=${items.size - pending}`);
+    schedule();
+  }
+
+  function schedule(minDelayMs = 0) {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (draining) return;
+    let nextAt = null;
+    items.forEach((item) => {
+      if (item.dead) return;
+      if (nextAt === null || item.next_attempt_at < nextAt) nextAt = item.next_attempt_at;
+    });
+    if (nextAt === null) return;
+    timer = setTimeout(drain, Math.max(minDelayMs, nextAt - Date.now()));
+    timer.unref?.();
+  }
+
+  async function deliver(item) {
+    let result;
+    try {
+      result = await send(item);
+    } catch (error) {
+      result = { ok: false, retryable: true, error: error?.message || String(error) };
+    }
+    if (!items.has(item.id)) return;
+
+    if (result.ok) {
+      append({ op: "ack", id: item.id });
+      items.delete(item.id);
+      return;
+    }
+
+    const attempts = item.attempts + 1;
+    const reason = result.error || `http_status=${result.status}`;
+    if (!result.retryable || attempts >= options.maxAttempts) {
+      const deadAt = new Date().toISOString();
+      append({ op: "attempt", id: item.id, attempts, next_attempt_at: 0, last_error: reason });
+      append({ op: "dead", id: item.id, reason, dead_at: deadAt });
+      apply({ op: "attempt", id: item.id, attempts, next_attempt_at: 0, last_error: reason });
+      apply({ op: "dead", id: item.id, reason, dead_at: deadAt });
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Outbox item dead-lettered",
+          id: item.id,
+          kind: item.kind,
+          key: item.key,
+          attempts,
+          reason,
+        })
+      );
+      return;
+    }
+
+    const delay = backoffDelay(attempts, options);
+    const record = {
+      op: "attempt",
+      id: item.id,
+      attempts,
+      next_attempt_at: Date.now() + delay,
+      last_error: reason,
+    };
+    append(record);
+    apply(record);
+    console.log(
+      `[v5 Outbox] retry_scheduled kind=${item.kind} key=${item.key} attempts=${attempts} in_ms=${delay} reason=${reason}`
+    );
+  }
+
+  async function drain() {
+    timer = null;
+    if (draining) return;
+    draining = true;
+    let failed = false;
+    try {
+      if (journalStale) {
+        compact();
+      }
+      const due = Array.from(items.values())
+        .filter((item) => !item.dead && item.next_attempt_at <= Date.now())
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at);
+      for (const item of due) {
+        await deliver(item);
+      }
+      if (journalLines > options.compactAfterLines) {
+        compact();
+      }
+    } catch (error) {
+      // Usually the journal can't be written (disk full, read-only dir). Nothing is lost
+      // from memory, so log it and try again after the base delay rather than crash.
+      failed = true;
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Outbox drain failed",
+          file: filePath,
+          error: error?.message || String(error),
+        })
+      );
+    } finally {
+      draining = false;
+      schedule(failed ? options.baseDelayMs : 0);
+    }
+  }
+
+  function enqueue(kind, key, payload) {
+    const existing = Array.from(items.values()).find(
+      (item) => item.kind === kind && item.key === key
+    );
+    if (existing) {
+      console.log(`[v5 Outbox] duplicate_skipped kind=${kind} key=${key} id=${existing.id}`);
+      return existing.id;
+    }
+
+    const record = {
+      op: "enqueue",
+      id: crypto.randomUUID(),
+      kind,
+      key,
+      payload,
+      created_at: new Date().toISOString(),
+    };
+    apply(record);
+    try {
+      append(record);
+    } catch (error) {
+      // Keep the item in memory so it is still delivered; drain retries the write.
+      journalStale = true;
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Outbox journal write failed",
+          file: filePath,
+          id: record.id,
+          kind,
+          key,
+          error: error?.message || String(error),
+        })
+      );
+    }
+    console.log(`[v5 Outbox] enqueued kind=${kind} key=${key} id=${record.id}`);
+    drain();
+    return record.id;
+  }
+
+  function stats() {
+    const all = Array.from(items.values());
+    const pending = all.filter((item) => !item.dead);
+    const dead = all.filter((item) => item.dead);
+    return {
+      pending: pending.length,
+      oldest_pending_at: pending.reduce(
+        (oldest, item) => (!oldest || item.created_at < oldest ? item.created_at : oldest),
+        null
+      ),
+      dead_lettered: dead.length,
+      dead_letters: dead.map((item) => ({
+        id: item.id,
+        kind: item.kind,
+        key: item.key,
+        attempts: item.attempts,
+        last_error: item.last_error,
+        created_at: item.created_at,
+        dead_at: item.dead_at,
+      })),
+    };
+  }
+
+  return { load, enqueue, stats };
+}
+
+module.exports = { createOutbox };
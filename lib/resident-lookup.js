@@ -0,0 +1,48 @@
+const fs = require("fs");
+
+// Matches a caller's number against resident records:
+//   [{ "resident_id": "r-17", "name": "Maria Lopez", "phone": "+15555550100", "unit": "204" }]
+// Records come from the voice context's `residents` or a local JSON file of the same shape.
+// A match is only "confident" when every record for the number points at one resident and unit.
+
+function phoneKey(number) {
+  const digits = String(number || "").replace(/\D/g, "");
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+function loadResidentFile(filePath) {
+  const records = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(records)) {
+    throw new Error("resident file must contain a JSON array");
+  }
+  return records;
+}
+
+function findResident(fromNumber, records) {
+  const key = phoneKey(fromNumber);
+  if (!key || !Array.isArray(records)) return { match: "none", resident: null };
+
+  const candidates = records.filter(
+    (record) => record && record.resident_id && phoneKey(record.phone) === key
+  );
+  if (candidates.length === 0) return { match: "none", resident: null };
+
+  const [first] = candidates;
+  const sameResident = candidates.every(
+    (record) => record.resident_id === first.resident_id && record.unit === first.unit
+  );
+  if (!sameResident || !first.unit) return { match: "ambiguous", resident: null };
+
+  const name = String(first.name || "").trim();
+  return {
+    match: "confident",
+    resident: {
+      resident_id: String(first.resident_id),
+      name,
+      first_name: first.first_name || name.split(/\s+/)[0] || "",
+      unit: String(first.unit),
+    },
+  };
+}
+
+module.exports = { findResident, loadResidentFile, phoneKey };
@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+
+// Token format: "<expires_at_ms>.<base64url hmac-sha256(call_control_id.expires_at_ms)>"
+
+function sign(callControlId, expiresAt, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${callControlId}.${expiresAt}`)
+    .digest("base64url");
+}
+
+function createStreamToken(callControlId, secret, ttlMs, now = Date.now()) {
+  const expiresAt = now + ttlMs;
+  return `${expiresAt}.${sign(callControlId, expiresAt, secret)}`;
+}
+
+function verifyStreamToken(token, callControlId, secret, now = Date.now()) {
+  if (!token) return { valid: false, reason: "missing_token" };
+
+  const [expiresRaw, signature, extra] = String(token).split(".");
+  const expiresAt = Number(expiresRaw);
+  if (!signature || extra !== undefined || !Number.isInteger(expiresAt)) {
+    return { valid: false, reason: "malformed_token" };
+  }
+
+  const expected = Buffer.from(sign(callControlId, expiresAt, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: "bad_signature" };
+  }
+  if (now > expiresAt) return { valid: false, reason: "expired_token" };
+  return { valid: true, reason: null };
+}
+
+module.exports = { createStreamToken, verifyStreamToken };
@@ -0,0 +1,100 @@
+const { EventEmitter } = require("events");
+const { WebSocket } = require("ws");
+
+const DEEPGRAM_WS_URL = "wss://api.deepgram.com/v1/listen";
+
+function buildDeepgramUrl({ language }) {
+  const params = new URLSearchParams({
+    encoding: "mulaw",
+    sample_rate: "8000",
+    interim_results: "true",
+    utterance_end_ms: "1000",
+    vad_events: "true",
+  });
+  if (language) params.set("language", language);
+  return `${DEEPGRAM_WS_URL}?${params.toString()}`;
+}
+
+function parseConfidence(value) {
+  if (typeof value === "number") return value;
+  return Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+function createDeepgramProvider({ apiKey, language }) {
+  const provider = new EventEmitter();
+  let ws = null;
+  let closing = false;
+
+  provider.name = "deepgram";
+
+  provider.open = () => {
+    closing = false;
+    ws = new WebSocket(buildDeepgramUrl({ language }), {
+      headers: { Authorization: `Token ${apiKey}` },
+    });
+
+    ws.on("message", (data) => {
+      let message = null;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (_e) {
+        return;
+      }
+
+      if (message?.type === "UtteranceEnd") {
+        provider.emit("utterance_end", {});
+        return;
+      }
+      if (message?.type === "SpeechStarted") {
+        provider.emit("speech_started", {});
+        return;
+      }
+
+      const alternatives = message?.channel?.alternatives || [];
+      const alt = alternatives[0];
+      if (!alt?.transcript) return;
+
+      const event = {
+        text: alt.transcript,
+        confidence: parseConfidence(alt.confidence),
+        alternatives,
+      };
+      provider.emit(message.is_final ? "transcript" : "interim", event);
+    });
+
+    ws.on("close", () => {
+      ws = null;
+      provider.emit("close");
+    });
+
+    ws.on("error", (error) => {
+      // Terminating a socket mid-handshake reports the abort as an error; it was asked for.
+      if (closing) return;
+      provider.emit("error", error);
+    });
+  };
+
+  provider.sendAudio = (audio) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(audio);
+  };
+
+  provider.close = () => {
+    if (!ws) return;
+    closing = true;
+    try {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      } else if (ws.readyState === WebSocket.CONNECTING) {
+        // close() would wait out the handshake and leave the socket open until then.
+        ws.terminate();
+      }
+    } catch (_e) {
+      // ignore
+    }
+  };
+
+  return provider;
+}
+
+module.exports = { createDeepgramProvider, buildDeepgramUrl };
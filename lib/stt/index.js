@@ -0,0 +1,36 @@
+const { createDeepgramProvider } = require("./deepgram");
+const { createScriptedProvider } = require("./scripted");
+
+// Every provider is an EventEmitter with open(), sendAudio(buffer) and close().
+// Events: "transcript" and "interim" ({ text, confidence, alternatives }),
+// "utterance_end", "speech_started", "error" and "close".
+const STT_PROVIDERS = {
+  deepgram: {
+    create: createDeepgramProvider,
+    missingConfig: (options) => (!options.apiKey ? "DEEPGRAM_API_KEY" : null),
+  },
+  scripted: {
+    create: createScriptedProvider,
+    missingConfig: (options) => (!options.scriptPath ? "STT_SCRIPT_PATH" : null),
+  },
+};
+
+function getSttProvider(name) {
+  const provider = STT_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown STT_PROVIDER "${name}"; expected one of ${Object.keys(STT_PROVIDERS).join(", ")}`
+    );
+  }
+  return provider;
+}
+
+function sttMissingConfig(name, options) {
+  return getSttProvider(name).missingConfig(options);
+}
+
+function createSttProvider(name, options) {
+  return getSttProvider(name).create(options);
+}
+
+module.exports = { createSttProvider, sttMissingConfig, getSttProvider };
@@ -0,0 +1,83 @@
+const { EventEmitter } = require("events");
+const fs = require("fs");
+
+// Plays transcripts from a JSON file instead of recognizing audio:
+//   { "<call_control_id>": [{ "at_ms": 1500, "text": "two oh four", "confidence": 0.97 }],
+//     "*": [...] }
+// Times are relative to the first open() for the call; reopening (a language switch)
+// resumes the script instead of replaying it. Each utterance emits interim, transcript,
+// then utterance_end; one marked "interim_only" (noise the recognizer never finalizes)
+// skips the transcript.
+const FINAL_AFTER_INTERIM_MS = 150;
+const UTTERANCE_END_AFTER_FINAL_MS = 150;
+const scriptStarts = new Map();
+
+function loadScript(scriptPath, callControlId) {
+  const script = JSON.parse(fs.readFileSync(scriptPath, "utf8"));
+  const utterances = script[callControlId] || script["*"] || [];
+  return Array.isArray(utterances) ? utterances : [];
+}
+
+function createScriptedProvider({ scriptPath, callControlId, language }) {
+  const provider = new EventEmitter();
+  const timers = new Set();
+  let open = false;
+
+  provider.name = "scripted";
+  provider.language = language || null;
+  provider.audioBytes = 0;
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      if (open) fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  provider.open = () => {
+    let utterances = [];
+    try {
+      utterances = loadScript(scriptPath, callControlId);
+    } catch (error) {
+      setImmediate(() => provider.emit("error", error));
+      return;
+    }
+    open = true;
+    if (!scriptStarts.has(callControlId)) scriptStarts.set(callControlId, Date.now());
+    const elapsed = Date.now() - scriptStarts.get(callControlId);
+
+    utterances.forEach((utterance) => {
+      const at = (Number(utterance.at_ms) || 0) - elapsed;
+      if (at < 0) return;
+      const event = {
+        text: String(utterance.text || ""),
+        confidence: typeof utterance.confidence === "number" ? utterance.confidence : 0.99,
+        alternatives: [],
+      };
+      later(at, () => provider.emit("interim", event));
+      if (!utterance.interim_only) {
+        later(at + FINAL_AFTER_INTERIM_MS, () => provider.emit("transcript", event));
+      }
+      later(at + FINAL_AFTER_INTERIM_MS + UTTERANCE_END_AFTER_FINAL_MS, () =>
+        provider.emit("utterance_end", {})
+      );
+    });
+  };
+
+  provider.sendAudio = (audio) => {
+    provider.audioBytes += audio.length;
+  };
+
+  provider.close = () => {
+    if (!open) return;
+    open = false;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    provider.emit("close");
+  };
+
+  return provider;
+}
+
+module.exports = { createScriptedProvider };
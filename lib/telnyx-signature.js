@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+
+// DER header for an Ed25519 SubjectPublicKeyInfo; Telnyx hands out the raw 32-byte key.
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function createTelnyxPublicKey(base64Key) {
+  const raw = Buffer.from(String(base64Key || "").trim(), "base64");
+  if (raw.length !== 32) {
+    throw new Error("TELNYX_PUBLIC_KEY must be a base64-encoded 32-byte Ed25519 key");
+  }
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+    format: "der",
+    type: "spki",
+  });
+}
+
+function verifyTelnyxSignature({
+  rawBody,
+  signature,
+  timestamp,
+  publicKey,
+  toleranceSeconds,
+  now = Date.now(),
+}) {
+  if (!signature || !timestamp) return { valid: false, reason: "missing_headers" };
+  if (!rawBody || rawBody.length === 0) return { valid: false, reason: "missing_body" };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { valid: false, reason: "bad_timestamp" };
+  if (Math.abs(now / 1000 - ts) > toleranceSeconds) {
+    return { valid: false, reason: "outside_replay_window" };
+  }
+
+  const message = Buffer.concat([Buffer.from(`${timestamp}|`, "utf8"), rawBody]);
+  let ok = false;
+  try {
+    ok = crypto.verify(null, message, publicKey, Buffer.from(signature, "base64"));
+  } catch (_e) {
+    ok = false;
+  }
+  return ok ? { valid: true, reason: null } : { valid: false, reason: "bad_signature" };
+}
+
+module.exports = { createTelnyxPublicKey, verifyTelnyxSignature };
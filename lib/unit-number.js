@@ -0,0 +1,316 @@
+// Turns spoken unit numbers ("it's two oh four b", "unit 12, building C",
+// "dos cero cuatro") into canonical IDs ("204B", "C-12", "204") and checks them
+// against a property's roster.
+
+const ONES = {
+  zero: 0,
+  oh: 0,
+  o: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  cero: 0,
+  uno: 1,
+  una: 1,
+  dos: 2,
+  tres: 3,
+  cuatro: 4,
+  cinco: 5,
+  seis: 6,
+  siete: 7,
+  ocho: 8,
+  nueve: 9,
+};
+// Single words for two-digit numbers.
+const TWO_DIGIT_WORDS = {
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  diez: 10,
+  once: 11,
+  doce: 12,
+  trece: 13,
+  catorce: 14,
+  quince: 15,
+  dieciseis: 16,
+  diecisiete: 17,
+  dieciocho: 18,
+  diecinueve: 19,
+  veintiuno: 21,
+  veintidos: 22,
+  veintitres: 23,
+  veinticuatro: 24,
+  veinticinco: 25,
+  veintiseis: 26,
+  veintisiete: 27,
+  veintiocho: 28,
+  veintinueve: 29,
+};
+const TENS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+  veinte: 20,
+  treinta: 30,
+  cuarenta: 40,
+  cincuenta: 50,
+  sesenta: 60,
+  setenta: 70,
+  ochenta: 80,
+  noventa: 90,
+};
+// Spanish hundreds are single words ("trescientos cuatro").
+const HUNDREDS = {
+  cien: 1,
+  ciento: 1,
+  doscientos: 2,
+  trescientos: 3,
+  cuatrocientos: 4,
+  quinientos: 5,
+  seiscientos: 6,
+  setecientos: 7,
+  ochocientos: 8,
+  novecientos: 9,
+};
+// Spanish joins tens and ones with "y" ("treinta y dos").
+const TENS_JOINERS = new Set(["y"]);
+const LETTER_WORDS = {
+  bee: "b",
+  be: "b",
+  see: "c",
+  sea: "c",
+  cee: "c",
+  dee: "d",
+  ef: "f",
+  gee: "g",
+  jay: "j",
+  kay: "k",
+  pee: "p",
+  cue: "q",
+  are: "r",
+  tee: "t",
+  you: "u",
+  vee: "v",
+};
+const BUILDING_WORDS = new Set(["building", "bldg", "tower", "edificio", "torre"]);
+const FILLER_WORDS = new Set([
+  "it",
+  "its",
+  "s",
+  "is",
+  "i",
+  "im",
+  "am",
+  "in",
+  "my",
+  "the",
+  "this",
+  "that",
+  "unit",
+  "apartment",
+  "apt",
+  "number",
+  "suite",
+  "um",
+  "uh",
+  "and",
+  "dash",
+  "hyphen",
+  "es",
+  "mi",
+  "el",
+  "la",
+  "de",
+  "y",
+  "soy",
+  "unidad",
+  "apartamento",
+  "departamento",
+  "numero",
+  "guion",
+]);
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function letterFor(token) {
+  if (/^[a-z]$/.test(token) && token !== "o") return token;
+  return LETTER_WORDS[token] || null;
+}
+
+function isNumberWord(token) {
+  return (
+    token in ONES ||
+    token in TWO_DIGIT_WORDS ||
+    token in TENS ||
+    token in HUNDREDS ||
+    token === "hundred"
+  );
+}
+
+// Reads what follows "<n> hundred" / "trescientos": "four", "twelve", "and six", or nothing.
+function readHundreds(tokens, hundreds, start) {
+  let next = start;
+  if (tokens[next] === "and") next += 1;
+  if (next < tokens.length && (tokens[next] in TWO_DIGIT_WORDS || tokens[next] in TENS)) {
+    const rest = readDigits(tokens, next);
+    return { digits: `${hundreds}${rest.digits.padStart(2, "0")}`, next: rest.next };
+  }
+  if (next < tokens.length && tokens[next] in ONES) {
+    return { digits: `${hundreds}0${ONES[tokens[next]]}`, next: next + 1 };
+  }
+  return { digits: `${hundreds}00`, next };
+}
+
+// Reads one spoken number group starting at tokens[i]; returns digits and the next index.
+function readDigits(tokens, i) {
+  const token = tokens[i];
+  if (/^\d+$/.test(token)) return { digits: token, next: i + 1 };
+  if (token in TWO_DIGIT_WORDS) return { digits: String(TWO_DIGIT_WORDS[token]), next: i + 1 };
+  if (token in TENS) {
+    const onesAt = TENS_JOINERS.has(tokens[i + 1]) ? i + 2 : i + 1;
+    const following = tokens[onesAt];
+    if (following in ONES && ONES[following] > 0 && following !== "oh" && following !== "o") {
+      return { digits: String(TENS[token] + ONES[following]), next: onesAt + 1 };
+    }
+    return { digits: String(TENS[token]), next: i + 1 };
+  }
+  if (token in HUNDREDS) return readHundreds(tokens, HUNDREDS[token], i + 1);
+  if (token in ONES) {
+    if (tokens[i + 1] === "hundred") return readHundreds(tokens, ONES[token], i + 2);
+    return { digits: String(ONES[token]), next: i + 1 };
+  }
+  return null;
+}
+
+function extractBuilding(tokens) {
+  const index = tokens.findIndex((token) => BUILDING_WORDS.has(token));
+  if (index === -1 || index + 1 >= tokens.length) return { building: null, rest: tokens };
+
+  const nextToken = tokens[index + 1];
+  const letter = letterFor(nextToken);
+  if (letter) {
+    return {
+      building: letter.toUpperCase(),
+      rest: [...tokens.slice(0, index), ...tokens.slice(index + 2)],
+    };
+  }
+  if (/^[a-z]?\d+[a-z]?$/.test(nextToken) || isNumberWord(nextToken)) {
+    const read =
+      /^\d+$/.test(nextToken) || isNumberWord(nextToken) ? readDigits(tokens, index + 1) : null;
+    const value = read ? read.digits : nextToken.toUpperCase();
+    const end = read ? read.next : index + 2;
+    return {
+      building: value.toUpperCase(),
+      rest: [...tokens.slice(0, index), ...tokens.slice(end)],
+    };
+  }
+  return { building: null, rest: tokens };
+}
+
+function parseSpokenUnit(text) {
+  const { building, rest } = extractBuilding(tokenize(text));
+  let prefix = "";
+  let digits = "";
+  let suffix = "";
+
+  for (let i = 0; i < rest.length; ) {
+    const token = rest[i];
+
+    const mixed = token.match(/^([a-z]?)(\d+)([a-z]?)$/);
+    if (mixed && !suffix) {
+      if (mixed[1] && !digits) prefix = mixed[1];
+      digits += mixed[2];
+      if (mixed[3]) suffix = mixed[3];
+      i += 1;
+      continue;
+    }
+
+    const read = !suffix && isNumberWord(token) && token !== "hundred" ? readDigits(rest, i) : null;
+    if (read) {
+      digits += read.digits;
+      i = read.next;
+      continue;
+    }
+
+    const letter = letterFor(token);
+    // A bare "a" before any digits is the article, not a unit prefix.
+    if (letter && !suffix && !FILLER_WORDS.has(token) && (digits || token !== "a")) {
+      if (digits) {
+        suffix = letter;
+      } else if (!prefix) {
+        prefix = letter;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (FILLER_WORDS.has(token)) {
+      i += 1;
+      continue;
+    }
+
+    // Anything else after the number ends it ("two oh four and the sink is leaking").
+    if (digits) break;
+    i += 1;
+  }
+
+  if (!digits) return null;
+  const unit = `${prefix}${digits}${suffix}`.toUpperCase();
+  return {
+    unit,
+    building,
+    normalized: building ? `${building}-${unit}` : unit,
+  };
+}
+
+function compactUnitId(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// Returns the roster's own spelling of the unit, or null when it is not listed.
+function matchUnitRoster(normalized, roster) {
+  const wanted = compactUnitId(normalized);
+  if (!wanted || !Array.isArray(roster)) return null;
+  const match = roster.find((entry) => compactUnitId(entry) === wanted);
+  return match === undefined ? null : String(match);
+}
+
+// "C-12" -> "building C, unit 1 2", so TTS reads it character by character.
+// `labels` swaps in the words for another language ({ unit: "unidad", building: "edificio" }).
+function spellUnitForSpeech(parsed, labels = {}) {
+  const { unit = "unit", building = "building" } = labels;
+  const spelled = parsed.unit.split("").join(" ");
+  return parsed.building
+    ? `${building} ${parsed.building.split("").join(" ")}, ${unit} ${spelled}`
+    : `${unit} ${spelled}`;
+}
+
+module.exports = { parseSpokenUnit, matchUnitRoster, spellUnitForSpeech };
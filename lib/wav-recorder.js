@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+
+// Writes the inbound Telnyx media stream (8 kHz mono mu-law) to a WAV file as it arrives.
+// The header is written with a zero length up front and patched once the call ends. Non-PCM
+// formats need the 18-byte fmt chunk (cbSize 0) and a fact chunk holding the sample count.
+const SAMPLE_RATE = 8000;
+const HEADER_BYTES = 58;
+const WAVE_FORMAT_MULAW = 7;
+
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write("RIFF", 0, "ascii");
+  // The data chunk is padded to an even length, and the RIFF size counts the pad byte.
+  header.writeUInt32LE(HEADER_BYTES - 8 + dataBytes + (dataBytes % 2), 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(18, 16);
+  header.writeUInt16LE(WAVE_FORMAT_MULAW, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE, 28);
+  header.writeUInt16LE(1, 32);
+  header.writeUInt16LE(8, 34);
+  header.writeUInt16LE(0, 36);
+  header.write("fact", 38, "ascii");
+  header.writeUInt32LE(4, 42);
+  // One byte per mu-law sample on a mono stream.
+  header.writeUInt32LE(dataBytes, 46);
+  header.write("data", 50, "ascii");
+  header.writeUInt32LE(dataBytes, 54);
+  return header;
+}
+
+function createWavRecorder(filePath, { onError = () => {} } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath);
+  stream.on("error", onError);
+  stream.write(wavHeader(0));
+  let bytes = 0;
+  let closing = null;
+
+  function write(audio) {
+    if (closing) return;
+    bytes += audio.length;
+    stream.write(audio);
+  }
+
+  async function finish() {
+    // "close" also follows a write error, so a failed recording still settles.
+    await new Promise((resolve) => {
+      stream.once("close", resolve);
+      stream.end(bytes % 2 ? Buffer.alloc(1) : undefined);
+    });
+    const handle = await fs.promises.open(filePath, "r+");
+    try {
+      await handle.write(wavHeader(bytes), 0, HEADER_BYTES, 0);
+    } finally {
+      await handle.close();
+    }
+    return { filePath, bytes, durationMs: Math.round((bytes / SAMPLE_RATE) * 1000) };
+  }
+
+  function close() {
+    if (!closing) closing = finish();
+    return closing;
+  }
+
+  return { filePath, write, close };
+}
+
+// Deletes recordings in `dir` last modified more than `retentionMs` ago; returns how many.
+function pruneRecordings(dir, retentionMs, now = Date.now()) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+  let removed = 0;
+  entries
+    .filter((name) => name.endsWith(".wav"))
+    .forEach((name) => {
+      const filePath = path.join(dir, name);
+      if (now - fs.statSync(filePath).mtimeMs > retentionMs) {
+        fs.unlinkSync(filePath);
+        removed += 1;
+      }
+    });
+  return removed;
+}
+
+module.exports = { createWavRecorder, pruneRecordings };
@@ -1,64 +1,396 @@
 const express = require("express");
-const { WebSocketServer, WebSocket } = require("ws");
+const { WebSocketServer } = require("ws");
+const crypto = require("crypto");
+const path = require("path");
+const { validateFlowDefinition } = require("./lib/flow-schema");
+const { createOutbox } = require("./lib/outbox");
+const { createTelnyxPublicKey, verifyTelnyxSignature } = require("./lib/telnyx-signature");
+const { createStreamToken, verifyStreamToken } = require("./lib/stream-token");
+const { classifySeverity } = require("./lib/emergency-classifier");
+const {
+  categorizeIssue,
+  extractIssueDetails,
+  DEFAULT_CATEGORY,
+} = require("./lib/issue-categorizer");
+const { findResident, loadResidentFile } = require("./lib/resident-lookup");
+const { checkBusinessHours } = require("./lib/business-hours");
+const { createWavRecorder, pruneRecordings } = require("./lib/wav-recorder");
+const { createSttProvider, sttMissingConfig } = require("./lib/stt");
+const { parseSpokenUnit, matchUnitRoster, spellUnitForSpeech } = require("./lib/unit-number");
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  resolveLanguage,
+  catalogString,
+  catalogStepText,
+} = require("./lib/i18n");
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
+const TELNYX_PUBLIC_KEY = process.env.TELNYX_PUBLIC_KEY;
+// Local development only: accept unsigned webhooks when no TELNYX_PUBLIC_KEY is set.
+// Ignored under NODE_ENV=production, where a missing key rejects every webhook.
+const ALLOW_UNSIGNED_WEBHOOKS =
+  process.env.V5_ALLOW_UNSIGNED_WEBHOOKS === "1" && process.env.NODE_ENV !== "production";
+const TELNYX_WEBHOOK_TOLERANCE_S = Number(
+  process.env.V5_TELNYX_WEBHOOK_TOLERANCE_S || "300"
+);
 const FLOWSYNC_BASE_URL = process.env.FLOWSYNC_BASE_URL;
 const FLOWSYNC_API_KEY = process.env.FLOWSYNC_API_KEY;
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
+const STT_PROVIDER = process.env.STT_PROVIDER || "deepgram";
+const STT_SCRIPT_PATH = process.env.STT_SCRIPT_PATH;
+// Local resident records, used when the voice context does not carry its own `residents`.
+const RESIDENTS_PATH = process.env.V5_RESIDENTS_PATH;
 const MEDIA_WS_URL = process.env.MEDIA_WS_URL;
-const TELNYX_API_BASE = "https://api.telnyx.com/v2";
+// Without a shared secret, tokens are only valid on the instance that issued them.
+const MEDIA_STREAM_SECRET =
+  process.env.MEDIA_STREAM_SECRET || crypto.randomBytes(32).toString("hex");
+const MEDIA_TOKEN_TTL_MS = Number(process.env.V5_MEDIA_TOKEN_TTL_S || "120") * 1000;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const TELNYX_API_BASE = process.env.TELNYX_API_BASE || "https://api.telnyx.com/v2";
 const GREETING =
   "Hi, thanks for calling. Someone from the FlowSync team will be with you shortly.";
-const SILENCE_REPROMPT_MS = 9000;
-const SILENCE_REPROMPT_TEXT = "How can I help you today?";
-const CALLBACK_OFFER = "Would you like someone to call you back?";
-const ISSUE_SILENCE_FINALIZE_MS = 3000;
-const ISSUE_MAX_LISTEN_MS = 20000;
-const ISSUE_APPEND_DEDUP_WINDOW_MS = 800;
-const ISSUE_GARBLED_POSTPONE_MS = 2500;
-const ISSUE_GARBLED_MAX_POSTPONES = 2;
+// Once a step's question has played, how long to wait before asking it again, and how many
+// times in a row to ask before hanging up. The voice context's silence_timeout_ms and
+// silence_max_reprompts override these per tenant.
+const STEP_SILENCE_MS = Number(process.env.V5_STEP_SILENCE_MS || "8000");
+const SILENCE_MAX_REPROMPTS = Number(process.env.V5_SILENCE_MAX_REPROMPTS || "2");
+// How long an interim may go without a final before the silence countdown restarts, for
+// providers that don't send utterance_end.
+const STT_FINAL_GRACE_MS = Number(process.env.V5_STT_FINAL_GRACE_MS || "3000");
+const SPEAK_FALLBACK_BASE_MS = 3000;
+const SPEAK_FALLBACK_PER_CHAR_MS = 80;
+// What to do with caller transcripts that arrive while a prompt is playing:
+// "buffer" holds them until the queue drains, "ignore" drops them.
+const SPEECH_OVERLAP_POLICY = process.env.V5_SPEECH_OVERLAP_POLICY || "buffer";
+// Default for stopping playback when the caller talks; the voice context's barge_in overrides it.
+const BARGE_IN_ENABLED = process.env.V5_BARGE_IN === "1";
+const REVIEW_ISSUE_MAX_WORDS = 12;
+const LANGUAGE_SELECT_WAIT_MS = 3000;
+const KEYPAD_YES_NO = { 1: true, 2: false };
+// Mid-intake, an FAQ has to match this well before a step's answer is taken as a question.
+const FAQ_INTERRUPT_MIN_SCORE = 4;
+// Question words and fillers that would otherwise let any sentence score against an FAQ.
+const FAQ_STOPWORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "is",
+  "are",
+  "was",
+  "be",
+  "do",
+  "does",
+  "did",
+  "to",
+  "of",
+  "in",
+  "on",
+  "at",
+  "for",
+  "my",
+  "i",
+  "you",
+  "it",
+  "s",
+  "can",
+  "what",
+  "when",
+  "where",
+  "how",
+  "who",
+  "why",
+  "which",
+  "el",
+  "la",
+  "los",
+  "las",
+  "de",
+  "es",
+  "en",
+  "mi",
+  "que",
+  "cuando",
+  "donde",
+  "como",
+  "cual",
+]);
+const CALLBACK_NUMBER_RETRIES = 1;
+// How long Telnyx rings the on-call number, plus how long we wait past that for an outcome.
+const TRANSFER_TIMEOUT_S = Number(process.env.V5_TRANSFER_TIMEOUT_S || "30");
+const TRANSFER_OUTCOME_GRACE_MS = 5000;
+const CAPTURE_SILENCE_FINALIZE_MS = 3000;
+const CAPTURE_MAX_LISTEN_MS = 20000;
+const CAPTURE_APPEND_DEDUP_WINDOW_MS = 800;
+const CAPTURE_GARBLED_POSTPONE_MS = 2500;
+const CAPTURE_GARBLED_MAX_POSTPONES = 2;
 const STT_QUALITY_GATE_ENABLED = process.env.V5_STT_QUALITY_GATE === "1";
 const STT_MIN_CONF = Number(process.env.V5_STT_MIN_CONF || "0.85");
 const STT_GARBLE_MAX_RATIO = Number(process.env.V5_STT_GARBLE_MAX_RATIO || "0.5");
 const STT_MIN_WORDS = Number(process.env.V5_STT_MIN_WORDS || "3");
+const OUTBOX_PATH =
+  process.env.V5_OUTBOX_PATH || path.join(__dirname, "data", "outbox.jsonl");
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.V5_OUTBOX_MAX_ATTEMPTS || "8");
+const OUTBOX_BASE_DELAY_MS = Number(process.env.V5_OUTBOX_BASE_DELAY_MS || "2000");
+const OUTBOX_SEND_TIMEOUT_MS = Number(process.env.V5_OUTBOX_SEND_TIMEOUT_MS || "10000");
+// Tenants opt in with the voice context's `recording`: "telnyx" asks Telnyx to record the
+// call, "local" writes the inbound media stream to RECORDINGS_DIR. 0 days keeps files forever.
+const RECORDING_MODES = ["telnyx", "local"];
+const RECORDINGS_DIR =
+  process.env.V5_RECORDINGS_DIR || path.join(__dirname, "data", "recordings");
+const RECORDING_RETENTION_DAYS = Number(process.env.V5_RECORDING_RETENTION_DAYS || "30");
+const OUTBOX_ENDPOINTS = {
+  maintenance_event: "/api/ingest/maintenance-event",
+  maintenance_event_update: "/api/ingest/maintenance-event/update",
+  callback_request: "/api/ingest/callback-request",
+};
 const FLOW_CONFIG = {
   flow: "apartment_maintenance_intake_v1",
   steps: [
+    {
+      // Only offered when the voice context lists more than one language.
+      step_id: "language_select",
+      type: "language_select",
+      wait_ms: LANGUAGE_SELECT_WAIT_MS,
+    },
     {
       step_id: "greeting",
       prompt:
         "Thanks for calling apartment maintenance. I’m here to help with your maintenance request.",
+      known_caller_prompt:
+        "Hi {name}, thanks for calling apartment maintenance. I’m here to help with your maintenance request.",
+      // Any step text can have an `after_hours_` variant, used outside the context's business_hours.
+      after_hours_prompt:
+        "Thanks for calling apartment maintenance. Our office is closed right now, but I can take your maintenance request.",
+      after_hours_known_caller_prompt:
+        "Hi {name}, thanks for calling apartment maintenance. Our office is closed right now, but I can take your maintenance request.",
       expected_input_type: "none",
       field_name: null,
     },
+    {
+      // Only asked when the voice context has `faqs` or an `office_number` to offer.
+      step_id: "intent",
+      type: "intent",
+      prompt:
+        "Are you calling about a maintenance problem, do you have a question, or would you like to speak with someone?",
+      followup_prompt:
+        "Is there anything else? You can describe a maintenance problem, ask another question, or ask for a person.",
+      after_hours_prompt: "Are you calling about a maintenance problem, or do you have a question?",
+      after_hours_followup_prompt:
+        "Is there anything else? You can describe a maintenance problem or ask another question.",
+      field_name: "caller_intent",
+      summary_label: "Caller intent",
+      // Later in the call, a human phrase only switches to the office transfer when it is
+      // the whole answer ("agent") or comes with one of these ("talk to the front desk").
+      switch_phrases: [
+        "speak to",
+        "speak with",
+        "talk to",
+        "talk with",
+        "transfer me",
+        "connect me",
+      ],
+      intents: {
+        human: [
+          "representative",
+          "human",
+          "real person",
+          "a person",
+          "speak to someone",
+          "speak with someone",
+          "talk to someone",
+          "operator",
+          "agent",
+          "front desk",
+        ],
+        maintenance: [
+          "maintenance",
+          "repair",
+          "fix",
+          "broken",
+          "not working",
+          "leak",
+          "leaking",
+          "drip",
+          "dripping",
+          "problem",
+          "work order",
+        ],
+        // Whole question phrases only: a bare "when" or "where" turns up in problem reports too.
+        question: [
+          "question",
+          "wondering",
+          "do you",
+          "what is",
+          "what are",
+          "what time",
+          "when is",
+          "when does",
+          "where is",
+          "where do",
+          "how do",
+          "how much",
+          "how long",
+        ],
+      },
+    },
+    {
+      step_id: "representative_transfer",
+      type: "transfer",
+      number_key: "office_number",
+      prompt: "Okay, I’m connecting you with someone from the office now. Please stay on the line.",
+      fallback_prompt:
+        "I couldn’t reach anyone in the office, so I’ve asked them to call you back as soon as possible. Goodbye.",
+      unavailable_prompt:
+        "I can’t connect you with someone right now, but I can take your maintenance request.",
+      after_hours_unavailable_prompt:
+        "The office is closed right now, so I can’t connect you with someone, but I can take your maintenance request.",
+      in_hours_only: true,
+      field_name: "representative_connected",
+      fallback_field: "callback_requested",
+      summary_label: "Representative connected",
+      only_if_intent: "human",
+    },
     {
       step_id: "unit_number",
       prompt: "To get this started, what is your unit number?",
       expected_input_type: "text",
       field_name: "unit_number",
+      summary_label: "Unit",
+      normalize: "unit_number",
+      max_retries: 1,
+      prefill: "resident_unit",
+      prefill_prompt: "Is this about {value}? Please say yes or no.",
+      dtmf: "digits",
+      keypad_hint: "You can also type your unit number on the keypad, then press pound.",
+      aliases: ["unit", "apartment", "address"],
+      review_text: "Unit {value}.",
     },
     {
       step_id: "issue_description",
       prompt: "Please briefly describe the maintenance issue you’re experiencing.",
       expected_input_type: "text",
       field_name: "issue_description",
+      summary_label: "Issue",
+      capture: "buffered",
+      // Used instead of `prompt` when the caller already described the issue in their opening.
+      seeded_prompt:
+        "You mentioned: {value}. If there’s anything to add, go ahead; otherwise I’ll continue.",
+      aliases: ["issue", "problem", "description"],
+      review_text: "The issue is: {value}.",
     },
     {
       step_id: "emergency_detection",
       type: "compute",
+      compute: "emergency_keywords",
       source_field: "issue_description",
       field_name: "is_emergency",
+      summary_label: "Emergency",
+      // Either list can be replaced per tenant with the voice context's own keyword lists.
       emergency_keywords: [
         "fire",
         "smoke",
         "gas",
+        "carbon monoxide",
         "flood",
-        "water leak",
+        "flooding",
+        "burst pipe",
+        "sewage",
         "no heat",
         "sparks",
       ],
+      urgent_keywords: [
+        "leak",
+        "leaking",
+        "water leak",
+        "no hot water",
+        "no power",
+        "overflowing",
+        "locked out",
+        "broken lock",
+      ],
+    },
+    {
+      step_id: "issue_categorization",
+      type: "compute",
+      compute: "issue_category",
+      source_field: "issue_description",
+      field_name: "issue_category",
+      summary_label: "Category",
+      // The voice context's issue_categories replaces this set for a tenant.
+      categories: {
+        plumbing: [
+          "leak",
+          "leaking",
+          "drip",
+          "dripping",
+          "clog",
+          "clogged",
+          "drain",
+          "toilet",
+          "sink",
+          "faucet",
+          "pipe",
+          "shower",
+          "tub",
+          "water heater",
+          "no hot water",
+          "sewage",
+          "flood",
+          "flooding",
+        ],
+        electrical: [
+          "outlet",
+          "power",
+          "light",
+          "lights",
+          "breaker",
+          "switch",
+          "sparks",
+          "wiring",
+          "fuse",
+        ],
+        hvac: [
+          "heat",
+          "heater",
+          "heating",
+          "no heat",
+          "furnace",
+          "air conditioner",
+          "air conditioning",
+          "ac",
+          "thermostat",
+          "vent",
+        ],
+        appliance: [
+          "refrigerator",
+          "fridge",
+          "freezer",
+          "dishwasher",
+          "washer",
+          "washing machine",
+          "dryer",
+          "oven",
+          "stove",
+          "microwave",
+          "garbage disposal",
+        ],
+        pest: [
+          "bugs",
+          "roaches",
+          "cockroaches",
+          "mice",
+          "mouse",
+          "rats",
+          "ants",
+          "bed bugs",
+          "termites",
+          "pests",
+        ],
+        lockout: ["locked out", "lock", "key", "keys", "lost key", "door wont open"],
+      },
     },
     {
       step_id: "emergency_ack",
@@ -67,19 +399,53 @@ const FLOW_CONFIG = {
       expected_input_type: "none",
       field_name: null,
       only_if_emergency: true,
+      interruptible: false,
+    },
+    {
+      step_id: "emergency_transfer",
+      type: "transfer",
+      prompt: "I’m connecting you to our on-call maintenance team now. Please stay on the line.",
+      fallback_prompt:
+        "I couldn’t reach the on-call team, so I’ve marked this as urgent and someone will call you back as soon as possible. Goodbye.",
+      field_name: "transfer_connected",
+      fallback_field: "urgent_callback",
+      summary_label: "Transfer connected",
+      only_if_emergency: true,
     },
     {
       step_id: "permission_to_enter",
       prompt: "Do we have permission to enter your unit if you’re not home? Please say yes or no.",
       expected_input_type: "yes_no",
       field_name: "permission_to_enter",
+      summary_label: "Permission to enter",
       max_retries: 1,
+      dtmf: "yes_no",
+      keypad_hint: "You can also press 1 for yes or 2 for no.",
+      aliases: ["permission", "enter", "entry"],
+      review_yes: "We have permission to enter.",
+      review_no: "We do not have permission to enter.",
     },
     {
       step_id: "pets_present",
       prompt: "Are there any pets in the unit? Please say yes or no.",
       expected_input_type: "yes_no",
       field_name: "pets_present",
+      summary_label: "Pets present",
+      max_retries: 1,
+      dtmf: "yes_no",
+      keypad_hint: "You can also press 1 for yes or 2 for no.",
+      aliases: ["pet", "pets", "dog", "cat"],
+      review_yes: "There are pets in the unit.",
+      review_no: "There are no pets in the unit.",
+    },
+    {
+      step_id: "review",
+      type: "review",
+      prompt: "Before I submit this, here’s what I have. {summary} Is that all correct?",
+      retry_prompt: "Is everything correct? Please say yes, or tell me which part is wrong.",
+      correction_prompt:
+        "Which part should I fix: the unit, the issue, permission to enter, or pets?",
+      fields: ["unit_number", "issue_description", "permission_to_enter", "pets_present"],
       max_retries: 1,
     },
     {
@@ -88,6 +454,14 @@ const FLOW_CONFIG = {
       expected_input_type: "none",
       field_name: null,
     },
+    {
+      step_id: "next_business_day",
+      prompt: "Our office is closed right now, so the team will follow up on the next business day.",
+      expected_input_type: "none",
+      field_name: null,
+      only_if_after_hours: true,
+      only_if_emergency: false,
+    },
     {
       step_id: "end_call",
       prompt: "Thank you for calling. Goodbye.",
@@ -96,15 +470,63 @@ const FLOW_CONFIG = {
     },
   ],
 };
-const DEEPGRAM_WS_URL =
-  "wss://api.deepgram.com/v1/listen?encoding=mulaw&sample_rate=8000";
+const STT_OPTIONS = { apiKey: DEEPGRAM_API_KEY, scriptPath: STT_SCRIPT_PATH };
 
+const activeCalls = new Map();
+const localRecorders = new Map();
 const silenceTimers = new Map();
+const speechQueues = new Map();
+let speechSeq = 0;
 const sttSessions = new Map();
 const contextCache = new Map();
 const flowState = new Map();
+const callbackRequests = new Map();
+const seenWebhookSignatures = new Map();
+const telnyxPublicKey = TELNYX_PUBLIC_KEY ? createTelnyxPublicKey(TELNYX_PUBLIC_KEY) : null;
+const localResidents = RESIDENTS_PATH ? loadResidentFile(RESIDENTS_PATH) : null;
+const outbox = createOutbox({
+  filePath: OUTBOX_PATH,
+  send: deliverOutboxItem,
+  maxAttempts: OUTBOX_MAX_ATTEMPTS,
+  baseDelayMs: OUTBOX_BASE_DELAY_MS,
+});
+
+app.use(
+  express.json({
+    type: "*/*",
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// Throws on an unknown STT_PROVIDER so a typo fails at boot rather than mid-call.
+const sttMissing = sttMissingConfig(STT_PROVIDER, STT_OPTIONS);
+if (sttMissing) {
+  console.warn(
+    JSON.stringify({
+      level: "warn",
+      message: `${sttMissing} is not set; media streaming is disabled`,
+      provider: STT_PROVIDER,
+    })
+  );
+}
 
-app.use(express.json({ type: "*/*" }));
+if (!telnyxPublicKey && ALLOW_UNSIGNED_WEBHOOKS) {
+  console.warn(
+    JSON.stringify({
+      level: "warn",
+      message: "TELNYX_PUBLIC_KEY is not set; webhook signatures will not be verified",
+    })
+  );
+} else if (!telnyxPublicKey) {
+  console.error(
+    JSON.stringify({
+      level: "error",
+      message: "TELNYX_PUBLIC_KEY is not set; every Telnyx webhook will be rejected",
+    })
+  );
+}
 
 function logEvent(eventType, payload) {
   const entry = {
@@ -127,7 +549,7 @@ async function sendTelnyxAction(callControlId, action, body) {
         call_control_id: callControlId,
       })
     );
-    return;
+    return false;
   }
 
   const url = `${TELNYX_API_BASE}/calls/${callControlId}/actions/${action}`;
@@ -153,7 +575,9 @@ async function sendTelnyxAction(callControlId, action, body) {
           body: errorBody,
         })
       );
+      return false;
     }
+    return true;
   } catch (error) {
     console.error(
       JSON.stringify({
@@ -164,10 +588,180 @@ async function sendTelnyxAction(callControlId, action, body) {
         error: error?.message || String(error),
       })
     );
+    return false;
+  }
+}
+
+function encodeClientState(value) {
+  return Buffer.from(JSON.stringify(value), "utf8").toString("base64");
+}
+
+function decodeClientState(clientState) {
+  if (!clientState) return null;
+  try {
+    return JSON.parse(Buffer.from(clientState, "base64").toString("utf8"));
+  } catch (_e) {
+    return null;
+  }
+}
+
+function getSpeechQueue(callControlId) {
+  let queue = speechQueues.get(callControlId);
+  if (!queue) {
+    queue = { items: [], current: null, bufferedTranscripts: [] };
+    speechQueues.set(callControlId, queue);
+  }
+  return queue;
+}
+
+function isBotSpeaking(callControlId) {
+  return Boolean(speechQueues.get(callControlId)?.current);
+}
+
+// Resolves once the prompt has finished playing (call.speak.ended), failed to
+// start, was cut off by barge-in, or outlived its fallback timeout.
+function speak(callControlId, text, options = {}) {
+  return new Promise((resolve) => {
+    const queue = getSpeechQueue(callControlId);
+    speechSeq += 1;
+    queue.items.push({
+      id: speechSeq,
+      text,
+      interruptible: options.interruptible !== false,
+      language: options.language || null,
+      resolve,
+      timer: null,
+    });
+    if (!queue.current) {
+      playNextSpeech(callControlId);
+    }
+  });
+}
+
+async function playNextSpeech(callControlId) {
+  const queue = speechQueues.get(callControlId);
+  if (!queue) return;
+
+  const item = queue.items.shift();
+  if (!item) {
+    queue.current = null;
+    // Let whoever awaited the last prompt queue a follow-up before replaying.
+    setImmediate(() => onSpeechIdle(callControlId));
+    return;
+  }
+
+  queue.current = item;
+  const fallbackMs = SPEAK_FALLBACK_BASE_MS + item.text.length * SPEAK_FALLBACK_PER_CHAR_MS;
+  item.timer = setTimeout(() => finishSpeech(callControlId, item.id, "timeout"), fallbackMs);
+
+  const sent = await sendTelnyxAction(callControlId, "speak", {
+    payload: item.text,
+    voice: "female",
+    language: LANGUAGES[item.language || callLanguage(callControlId)].tts,
+    client_state: encodeClientState({ speech_id: item.id }),
+  });
+  if (!sent) {
+    finishSpeech(callControlId, item.id, "failed");
+    return;
+  }
+  item.turn = recordTurn(callControlId, "bot", item.text);
+}
+
+function finishSpeech(callControlId, speechId, reason) {
+  const queue = speechQueues.get(callControlId);
+  const item = queue?.current;
+  if (!item || item.id !== speechId) return;
+
+  clearTimeout(item.timer);
+  queue.current = null;
+  if (item.turn && reason === "barge_in") {
+    item.turn.interrupted = true;
+  }
+  console.log(
+    `[v5 Speech] ended call_control_id=${callControlId} speech_id=${speechId} reason=${reason} queued=${queue.items.length}`
+  );
+  item.resolve(reason);
+  playNextSpeech(callControlId);
+}
+
+function handleSpeakEvent(callControlId, eventType, payload) {
+  const queue = speechQueues.get(callControlId);
+  if (!queue?.current) return;
+  const speechId = decodeClientState(payload?.client_state)?.speech_id ?? queue.current.id;
+
+  if (eventType === "call.speak.started") {
+    console.log(`[v5 Speech] started call_control_id=${callControlId} speech_id=${speechId}`);
+    return;
+  }
+  finishSpeech(callControlId, speechId, payload?.status || "ended");
+}
+
+function onSpeechIdle(callControlId) {
+  const queue = speechQueues.get(callControlId);
+  const session = sttSessions.get(callControlId);
+  if (!queue || queue.current) return;
+  if (queue.bufferedTranscripts.length === 0) {
+    armStepSilenceTimer(callControlId);
+    return;
+  }
+
+  const pending = queue.bufferedTranscripts.splice(0);
+  console.log(
+    `[v5 Speech] replaying_buffered call_control_id=${callControlId} count=${pending.length}`
+  );
+  if (!session) return;
+  pending.forEach((event) => handleSttTranscript(callControlId, session, event));
+}
+
+function bargeInEnabled(callControlId) {
+  const context = contextCache.get(callControlId);
+  return typeof context?.barge_in === "boolean" ? context.barge_in : BARGE_IN_ENABLED;
+}
+
+function canBargeIn(callControlId) {
+  const current = speechQueues.get(callControlId)?.current;
+  return Boolean(current && current.interruptible && bargeInEnabled(callControlId));
+}
+
+async function bargeIn(callControlId, trigger) {
+  const item = speechQueues.get(callControlId)?.current;
+  if (!item || item.stopping) return;
+  item.stopping = true;
+  console.log(
+    `[v5 Speech] barge_in call_control_id=${callControlId} speech_id=${item.id} trigger=${trigger}`
+  );
+  // Wait for the stop so it cannot land after the next queued prompt has started.
+  await sendTelnyxAction(callControlId, "playback_stop", { stop: "all" });
+  finishSpeech(callControlId, item.id, "barge_in");
+}
+
+function clearSpeechQueue(callControlId) {
+  const queue = speechQueues.get(callControlId);
+  if (!queue) return;
+  speechQueues.delete(callControlId);
+  if (queue.current) {
+    clearTimeout(queue.current.timer);
+    queue.current.resolve("hangup");
   }
+  queue.items.forEach((item) => item.resolve("hangup"));
 }
 
-function scheduleSilenceTimer(callControlId) {
+// Rejection handler for async work started from a timer or an event, so a failure is
+// logged instead of ending the process.
+function logFailure(message, callControlId) {
+  return (error) => {
+    console.error(
+      JSON.stringify({
+        level: "error",
+        message,
+        call_control_id: callControlId,
+        error: error?.message || String(error),
+      })
+    );
+  };
+}
+
+function scheduleSilenceTimer(callControlId, timeoutMs) {
   if (silenceTimers.has(callControlId)) {
     return;
   }
@@ -175,11 +769,7 @@ function scheduleSilenceTimer(callControlId) {
   const timer = setTimeout(() => {
     console.log(`[v5 Silence] fired call_control_id=${callControlId}`);
     silenceTimers.delete(callControlId);
-    sendTelnyxAction(callControlId, "speak", {
-      payload: SILENCE_REPROMPT_TEXT,
-      voice: "female",
-      language: "en-US",
-    }).catch((error) => {
+    handleSilence(callControlId).catch((error) => {
       console.error(
         JSON.stringify({
           level: "error",
@@ -189,12 +779,69 @@ function scheduleSilenceTimer(callControlId) {
         })
       );
     });
-  }, SILENCE_REPROMPT_MS);
+  }, timeoutMs);
 
   silenceTimers.set(callControlId, timer);
   console.log(
-    `[v5 Silence] scheduled call_control_id=${callControlId} timeout_ms=${SILENCE_REPROMPT_MS}`
+    `[v5 Silence] scheduled call_control_id=${callControlId} timeout_ms=${timeoutMs}`
+  );
+}
+
+function silenceSettings(callControlId) {
+  const context = contextCache.get(callControlId);
+  const timeoutMs = context?.silence_timeout_ms;
+  const maxReprompts = context?.silence_max_reprompts;
+  return {
+    timeoutMs: Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : STEP_SILENCE_MS,
+    maxReprompts:
+      Number.isInteger(maxReprompts) && maxReprompts >= 0 ? maxReprompts : SILENCE_MAX_REPROMPTS,
+  };
+}
+
+// Called whenever the speech queue drains: if the flow is waiting on the caller, start counting.
+function armStepSilenceTimer(callControlId) {
+  const state = flowState.get(callControlId);
+  const step = getFlowStep(state);
+  if (!state?.awaitingInput || !step || step.type === "language_select") return;
+  if (isBotSpeaking(callControlId)) return;
+  // Once the caller has started describing the issue, the capture timers take over. A
+  // capture seeded from the opening has no chunk to start them, so start them here.
+  if (isBufferedCaptureActive(state) && state.captureBuffer) {
+    if (!state.captureFinalizeTimer) scheduleCaptureFinalize(callControlId, state);
+    return;
+  }
+  scheduleSilenceTimer(callControlId, silenceSettings(callControlId).timeoutMs);
+}
+
+async function handleSilence(callControlId) {
+  const state = flowState.get(callControlId);
+  const step = getFlowStep(state);
+  if (!state?.awaitingInput || !step) {
+    await speak(callControlId, phrase(callControlId, "silence_reprompt"));
+    return;
+  }
+
+  if (state.silenceCount >= silenceSettings(callControlId).maxReprompts) {
+    await endSilentCall(callControlId, state, step);
+    return;
+  }
+  state.silenceCount += 1;
+  console.log(
+    `[apt flow] silence_reprompt step=${step.step_id} count=${state.silenceCount} call_control_id=${callControlId}`
+  );
+  await speak(callControlId, repeatPrompt(callControlId, state, step), {
+    interruptible: step.interruptible !== false,
+  });
+}
+
+async function endSilentCall(callControlId, state, step) {
+  console.log(
+    `[apt flow] silence_hangup step=${step.step_id} reprompts=${state.silenceCount} call_control_id=${callControlId}`
   );
+  state.awaitingInput = false;
+  ingestAbandonedTicket(callControlId, "silence");
+  await speak(callControlId, phrase(callControlId, "silence_goodbye"), { interruptible: false });
+  await sendTelnyxAction(callControlId, "hangup", {});
 }
 
 function cancelSilenceTimer(callControlId, reason) {
@@ -210,25 +857,30 @@ function cancelSilenceTimer(callControlId, reason) {
 function cleanupStt(callControlId) {
   const session = sttSessions.get(callControlId);
   const state = flowState.get(callControlId);
-  if (state?.issueFinalizeTimer) {
-    clearTimeout(state.issueFinalizeTimer);
+  if (state) {
+    clearCaptureTimers(state);
+    clearTimeout(state.transfer?.timer);
+    clearTimeout(state.languageTimer);
   }
-  if (state?.issueMaxTimer) {
-    clearTimeout(state.issueMaxTimer);
+  cancelSilenceTimer(callControlId, "cleanup");
+  // A caller who hangs up at the time question still gets the callback they confirmed.
+  const callback = callbackRequests.get(callControlId);
+  if (callback?.stage === "time_window") {
+    submitCallbackRequest(callControlId, callback, null, "");
   }
+  callbackRequests.delete(callControlId);
+  finishLocalRecording(callControlId);
+  // A call whose media stream never opened still has flow state and context to drop.
+  contextCache.delete(callControlId);
+  flowState.delete(callControlId);
   if (!session) return;
+  clearTimeout(session.interimTimer);
 
-  if (session.deepgramWs && session.deepgramWs.readyState === WebSocket.OPEN) {
-    try {
-      session.deepgramWs.close();
-    } catch (_e) {
-      // ignore
-    }
+  if (session.stt) {
+    session.stt.close();
   }
 
   sttSessions.delete(callControlId);
-  contextCache.delete(callControlId);
-  flowState.delete(callControlId);
 }
 
 async function fetchGreeting(toNumber, callControlId) {
@@ -321,9 +973,10 @@ function resolveFromNumber(payload) {
 }
 
 async function startTelnyxStreaming(callControlId, reqHost) {
-  if (!DEEPGRAM_API_KEY) {
+  const missing = sttMissingConfig(STT_PROVIDER, STT_OPTIONS);
+  if (missing) {
     console.log(
-      `[v5 STT] streaming_start skipped call_control_id=${callControlId} reason=missing_config`
+      `[v5 STT] streaming_start skipped call_control_id=${callControlId} reason=missing_config provider=${STT_PROVIDER} missing=${missing}`
     );
     return;
   }
@@ -339,7 +992,10 @@ async function startTelnyxStreaming(callControlId, reqHost) {
     return;
   }
 
-  const streamUrl = `${baseWs}?call_control_id=${encodeURIComponent(callControlId)}`;
+  const token = createStreamToken(callControlId, MEDIA_STREAM_SECRET, MEDIA_TOKEN_TTL_MS);
+  const streamUrl = `${baseWs}?call_control_id=${encodeURIComponent(
+    callControlId
+  )}&token=${encodeURIComponent(token)}`;
 
   await sendTelnyxAction(callControlId, "streaming_start", {
     stream_url: streamUrl,
@@ -349,6 +1005,8 @@ async function startTelnyxStreaming(callControlId, reqHost) {
 
 function normalizeText(text) {
   return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, " ")
     .replace(/\s+/g, " ")
@@ -380,21 +1038,32 @@ function isTooShortIssue(text) {
   return wordCount < 2 || charCount < 10;
 }
 
-function parseYesNo(text) {
+function includesPhrase(norm, phrases) {
+  return phrases.some((candidate) => ` ${norm} `.includes(` ${normalizeText(candidate)} `));
+}
+
+// Position of the earliest phrase in `norm`, or -1.
+function firstPhraseIndex(norm, phrases) {
+  return phrases.reduce((first, candidate) => {
+    const at = ` ${norm} `.indexOf(` ${normalizeText(candidate)} `);
+    return at !== -1 && (first === -1 || at < first) ? at : first;
+  }, -1);
+}
+
+// English answers are accepted in every language; callers often mix them in.
+// Whichever answer comes first wins, so "no, no es correcto" is a no even though
+// "correcto" is a yes-word, while "yes, no pets" stays a yes.
+function parseYesNo(text, language = DEFAULT_LANGUAGE) {
   const norm = normalizeText(text);
   if (!norm) return null;
-  if (/\b(yes|yeah|yep|sure|ok|okay|affirmative)\b/.test(norm)) return true;
-  if (/\b(no|nope|nah|negative)\b/.test(norm)) return false;
+  const languages = [LANGUAGES[language], LANGUAGES[DEFAULT_LANGUAGE]];
+  const yesAt = firstPhraseIndex(norm, languages.flatMap((entry) => entry.yes_words));
+  const noAt = firstPhraseIndex(norm, languages.flatMap((entry) => entry.no_words));
+  if (noAt !== -1 && (yesAt === -1 || noAt < yesAt)) return false;
+  if (yesAt !== -1) return true;
   return null;
 }
 
-function computeEmergency(issueText, keywords) {
-  const norm = normalizeText(issueText || "");
-  if (!norm) return false;
-  const lowerKeywords = (keywords || []).map((k) => normalizeText(k)).filter(Boolean);
-  return lowerKeywords.some((kw) => kw && norm.includes(kw));
-}
-
 function computeBadTokenRatio(text) {
   const tokens = normalizeIssueText(text).split(/\s+/).filter(Boolean);
   if (tokens.length === 0) return 1;
@@ -410,429 +1079,1772 @@ function computeBadTokenRatio(text) {
   return bad / tokens.length;
 }
 
-function clearIssueTimers(state) {
-  if (state.issueFinalizeTimer) {
-    clearTimeout(state.issueFinalizeTimer);
-    state.issueFinalizeTimer = null;
+function clearCaptureTimers(state) {
+  if (state.captureFinalizeTimer) {
+    clearTimeout(state.captureFinalizeTimer);
+    state.captureFinalizeTimer = null;
   }
-  if (state.issueMaxTimer) {
-    clearTimeout(state.issueMaxTimer);
-    state.issueMaxTimer = null;
+  if (state.captureMaxTimer) {
+    clearTimeout(state.captureMaxTimer);
+    state.captureMaxTimer = null;
   }
 }
 
-async function finalizeIssue(callControlId, reason = "unknown") {
+function getFlowStep(state) {
+  if (!state) return null;
+  return state.flow.steps[state.stepIndex] || null;
+}
+
+// Every prompt actually played and every STT final heard, in order; sent with the
+// ticket as `conversation`. Returns the turn so later stages can flag it.
+function recordTurn(callControlId, speaker, text, extra = {}) {
   const state = flowState.get(callControlId);
-  if (!state || state.step !== "issue_description" || !state.issueListeningActive) return;
+  if (!state) return null;
+  const turn = {
+    speaker,
+    text,
+    at: new Date().toISOString(),
+    step: getFlowStep(state)?.step_id || null,
+    ...extra,
+  };
+  state.conversation.push(turn);
+  return turn;
+}
 
-  clearIssueTimers(state);
+function markTurnDropped(turn, reason) {
+  if (!turn) return;
+  turn.dropped = true;
+  turn.drop_reason = reason;
+}
 
-  const issue = normalizeIssueText(state.issueBuffer);
-  const words = issue ? issue.split(/\s+/).filter(Boolean).length : 0;
-  const chars = issue.length;
-  const badRatio = computeBadTokenRatio(issue);
-  const usedLowConf = state.issueLowConfChunks?.length > 0;
-  const isGarbled =
-    STT_QUALITY_GATE_ENABLED && (words < STT_MIN_WORDS || badRatio > STT_GARBLE_MAX_RATIO);
-  const now = Date.now();
-  const forced = reason === "max_listen" || (state.issueForceFinalizeAt && now >= state.issueForceFinalizeAt);
-
-  if (isGarbled && !forced && state.issuePostponeCount < ISSUE_GARBLED_MAX_POSTPONES) {
-    state.issuePostponeCount += 1;
-    clearIssueTimers(state);
-    state.issueFinalizeTimer = setTimeout(
-      () => finalizeIssue(callControlId, "postpone"),
-      ISSUE_GARBLED_POSTPONE_MS
-    );
-    console.log(
-      `[apt flow] issue_finalize_postponed call_control_id=${callControlId} postpone_count=${state.issuePostponeCount} in_ms=${ISSUE_GARBLED_POSTPONE_MS} words=${words} bad_ratio=${badRatio.toFixed(
-        2
-      )} buffer="${issue}"`
-    );
-    return;
+function isBufferedCaptureActive(state) {
+  const step = getFlowStep(state);
+  return Boolean(step && step.capture === "buffered" && state.captureListeningActive);
+}
+
+// `only_if_emergency: false` keeps a step for non-emergencies only.
+function stepApplies(state, step) {
+  if (step.only_if_emergency === true && !state.data.is_emergency) return false;
+  if (step.only_if_emergency === false && state.data.is_emergency) return false;
+  if (step.only_if_after_hours && !state.afterHours) return false;
+  if (step.only_if_intent && state.data.caller_intent !== step.only_if_intent) return false;
+  return true;
+}
+
+function localized(state, step, key) {
+  const text = catalogStepText(state.language, step, key, state.promptCatalogs, {
+    builtin: state.flow === FLOW_CONFIG,
+  });
+  if (state.language !== DEFAULT_LANGUAGE && text !== undefined && text === step[key]) {
+    const missing = `${step.step_id}.${key}`;
+    if (!state.untranslated.has(missing)) {
+      state.untranslated.add(missing);
+      console.warn(
+        JSON.stringify({
+          level: "warn",
+          message: "No catalog text for the call language; using the flow's own text",
+          language: state.language,
+          step_id: step.step_id,
+          key,
+        })
+      );
+    }
   }
+  return text;
+}
 
-  state.issueListeningActive = false;
+function hoursText(state, step, key) {
+  const afterHours = state.afterHours ? localized(state, step, `after_hours_${key}`) : null;
+  return afterHours || localized(state, step, key);
+}
 
-  console.log(
-    `[apt flow] issue_finalize call_control_id=${callControlId} buffer="${issue}" chars=${chars} words=${words}`
+// Dashboard overrides are written in the tenant's default language.
+function stepPrompt(state, step) {
+  const knownCaller = state.resident ? hoursText(state, step, "known_caller_prompt") : null;
+  if (knownCaller) {
+    return fillTemplate(knownCaller, { name: state.resident.first_name });
+  }
+  const override =
+    state.language === state.defaultLanguage ? state.promptOverrides[step.step_id] : null;
+  return override || hoursText(state, step, "prompt") || "";
+}
+
+function tenantDefaultLanguage(context) {
+  return resolveLanguage(context?.default_language) || DEFAULT_LANGUAGE;
+}
+
+// The tenant's default comes first, followed by any other supported languages it lists.
+function offeredLanguages(context) {
+  const listed = Array.isArray(context?.languages) ? context.languages : [];
+  const languages = [tenantDefaultLanguage(context), ...listed.map(resolveLanguage)];
+  return languages.filter((language, index) => language && languages.indexOf(language) === index);
+}
+
+function callLanguage(callControlId) {
+  return (
+    flowState.get(callControlId)?.language || tenantDefaultLanguage(contextCache.get(callControlId))
   );
+}
 
-  if (isGarbled) {
-    state.issueNeedsCleanup = true;
-    console.log(
-      `[apt flow] issue_garbled call_control_id=${callControlId} words=${words} bad_ratio=${badRatio.toFixed(
-        2
-      )} buffer="${issue}"`
+function phrase(callControlId, key) {
+  const context = contextCache.get(callControlId);
+  return catalogString(callLanguage(callControlId), key, context?.prompt_catalogs);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// The context's issue_categories, keeping only categories that are non-empty lists of
+// strings (the same rule the flow schema applies to a step's categories). Returns null
+// when nothing usable is left, so the step's own list applies.
+function contextIssueCategories(callControlId, context) {
+  if (!isPlainObject(context?.issue_categories)) return null;
+  const valid = {};
+  const dropped = [];
+  Object.entries(context.issue_categories).forEach(([category, terms]) => {
+    const usable =
+      Array.isArray(terms) &&
+      terms.length > 0 &&
+      terms.every((term) => typeof term === "string" && term.trim().length > 0);
+    if (usable) valid[category] = terms;
+    else dropped.push(category);
+  });
+  if (dropped.length > 0) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Ignoring issue_categories entries that are not non-empty arrays of strings",
+        call_control_id: callControlId,
+        categories: dropped,
+      })
     );
   }
-  if (forced) {
+  return Object.keys(valid).length > 0 ? valid : null;
+}
+
+const COMPUTE_HANDLERS = {
+  emergency_keywords(callControlId, state, step) {
+    const context = contextCache.get(callControlId);
+    const keywordsFor = (key) =>
+      Array.isArray(context?.[key]) ? context[key] : localized(state, step, key);
+    const { tier, evidence, suppressed } = classifySeverity(state.data[step.source_field], {
+      emergency: keywordsFor("emergency_keywords"),
+      urgent: keywordsFor("urgent_keywords"),
+    });
+    const terms = evidence.map((hit) => hit.term);
+    const dropped = suppressed.map((hit) => `${hit.term}:${hit.reason}`);
+    state.data[step.field_name] = tier === "emergency";
+    state.computed[step.field_name] = { severity_tier: tier, severity_evidence: terms };
     console.log(
-      `[apt flow] issue_finalize_forced call_control_id=${callControlId} reason=${reason} words=${words} bad_ratio=${badRatio.toFixed(
-        2
-      )} buffer="${issue}"`
+      `[apt flow] severity=${tier} evidence=[${terms.join(",")}] suppressed=[${dropped.join(
+        ","
+      )}] call_control_id=${callControlId}`
     );
-  }
+  },
+  issue_category(callControlId, state, step) {
+    const context = contextCache.get(callControlId);
+    const categories =
+      contextIssueCategories(callControlId, context) || localized(state, step, "categories");
+    const text = state.data[step.source_field];
+    const { category, terms } = categorizeIssue(text, categories);
+    const details = extractIssueDetails(text);
+    state.data[step.field_name] = category;
+    state.computed[step.field_name] = { issue_category_terms: terms, issue_details: details };
+    console.log(
+      `[apt flow] category=${category} terms=[${terms.join(",")}] details=${JSON.stringify(
+        details
+      )} call_control_id=${callControlId}`
+    );
+  },
+};
 
-  state.data.issue_description = issue;
-  console.log(
-    `[apt flow] captured issue_description="${issue}" call_control_id=${callControlId}`
-  );
+// Each normalizer returns null when nothing usable was heard, otherwise the
+// canonical value, whether it can be accepted without a readback, the phrase to
+// read back, and extra fields that go on the ticket as <field>_<key>.
+const NORMALIZERS = {
+  unit_number(raw, context, labels) {
+    const parsed = parseSpokenUnit(raw);
+    if (!parsed) return null;
+    const roster = Array.isArray(context?.unit_roster) ? context.unit_roster : null;
+    const rosterMatch = roster ? matchUnitRoster(parsed.normalized, roster) : null;
+    return {
+      value: rosterMatch || parsed.normalized,
+      recognized: !roster || Boolean(rosterMatch),
+      readback: spellUnitForSpeech(parsed, labels),
+      meta: { in_roster: roster ? Boolean(rosterMatch) : null },
+    };
+  },
+};
 
-  const keywords = [
-    "fire",
-    "smoke",
-    "gas",
-    "flood",
-    "leak",
-    "water leak",
-    "no heat",
-    "sparks",
-  ];
-  const normIssue = normalizeText(issue);
-  const hits = keywords.filter((kw) => normIssue.includes(normalizeText(kw)));
-  const isEmergency = hits.length > 0;
-  state.data.is_emergency = isEmergency;
-  console.log(
-    `[apt flow] emergency=${isEmergency} keywords_hit=[${hits.join(",")}] call_control_id=${callControlId}`
+const PREFILL_SOURCES = {
+  resident_unit: (state) => state.resident?.unit || null,
+};
+
+function fillTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined ? match : String(values[key])
   );
+}
 
-  if (isEmergency) {
-    console.log(
-      `[apt flow] emergency_ack spoken=true call_control_id=${callControlId}`
+function runComputeStep(callControlId, state, step) {
+  const kind = step.compute || "emergency_keywords";
+  const handler = COMPUTE_HANDLERS[kind];
+  if (!handler) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Unknown compute step; skipping",
+        call_control_id: callControlId,
+        step_id: step.step_id,
+        compute: kind,
+      })
     );
-    await sendTelnyxAction(callControlId, "speak", {
-      payload:
-        "I understand this sounds urgent. If you’re in danger, please call 911 now. I’ll log this as an emergency for maintenance.",
-      voice: "female",
-      language: "en-US",
-    });
+    return;
   }
+  handler(callControlId, state, step);
+}
 
-  state.step = "permission_to_enter";
-  await sendTelnyxAction(callControlId, "speak", {
-      payload:
-        "Do we have permission to enter your unit if you're not home? Please say yes or no.",
-      voice: "female",
-      language: "en-US",
-    });
-
+function startBufferedCapture(callControlId, state, step) {
+  clearCaptureTimers(state);
+  state.captureListeningActive = true;
+  state.captureBuffer = "";
+  state.lastCaptureChunk = "";
+  state.lastCaptureChunkAt = 0;
+  state.captureLowConfChunks = [];
+  state.captureBestChunk = null;
+  state.captureNeedsCleanup = false;
+  state.captureLastHeardAt = Date.now();
+  state.capturePostponeCount = 0;
+  // The max-listen window opens with the first chunk; until then the step's silence
+  // reprompts apply, so a quiet caller is asked again rather than captured as "".
+  state.captureForceFinalizeAt = 0;
   console.log(
-    `[apt flow] issue_quality_summary call_control_id=${callControlId} final_words=${words} bad_ratio=${badRatio.toFixed(
-      2
-    )} used_low_conf=${usedLowConf}`
+    `[apt flow] capture_listen_start step=${step.step_id} call_control_id=${callControlId} silence_finalize_ms=${CAPTURE_SILENCE_FINALIZE_MS} max_listen_ms=${CAPTURE_MAX_LISTEN_MS}`
   );
 }
 
-function findFaqMatch(transcript, faqs) {
-  if (!transcript || !Array.isArray(faqs) || faqs.length === 0) return null;
-  const normTranscript = normalizeText(transcript);
-  if (!normTranscript) return null;
+async function runFlow(callControlId) {
+  const state = flowState.get(callControlId);
+  if (!state) return;
 
-  const transcriptTokens = new Set(normTranscript.split(" ").filter(Boolean));
-  let best = null;
+  while (state.stepIndex < state.flow.steps.length) {
+    let step = state.flow.steps[state.stepIndex];
+    // After the emergency-only steps a correction added, go back to where it came from.
+    if (state.emergencyResumeIndex !== null && step.only_if_emergency !== true) {
+      state.stepIndex = Math.max(state.stepIndex, state.emergencyResumeIndex);
+      state.emergencyResumeIndex = null;
+      step = state.flow.steps[state.stepIndex];
+    }
+    if (state.step !== step.step_id) state.silenceCount = 0;
+    state.step = step.step_id;
 
-  faqs.forEach((faq, index) => {
-    const questionNorm = normalizeText(faq?.question || "");
-    const keywords = Array.isArray(faq?.keywords) ? faq.keywords : [];
-    let score = 0;
+    if (!stepApplies(state, step)) {
+      console.log(
+        `[apt flow] step_skipped step=${step.step_id} call_control_id=${callControlId}`
+      );
+      state.stepIndex += 1;
+      continue;
+    }
 
-    if (questionNorm && normTranscript.includes(questionNorm)) {
-      score += 5;
-    } else {
-      const qTokens = questionNorm.split(" ").filter(Boolean);
-      qTokens.forEach((tok) => {
-        if (transcriptTokens.has(tok)) score += 1;
-      });
+    if (step.type === "compute") {
+      runComputeStep(callControlId, state, step);
+      state.stepIndex += 1;
+      continue;
     }
 
-    keywords.forEach((kw) => {
-      const kwNorm = normalizeText(kw);
-      if (kwNorm && normTranscript.includes(kwNorm)) {
-        score += 2;
-      }
-    });
+    if (step.type === "language_select") {
+      if (await runLanguageSelectStep(callControlId, state, step)) return;
+      state.stepIndex += 1;
+      continue;
+    }
 
-    if (score > 0 && (!best || score > best.score)) {
-      best = { faq, score, index };
+    if (step.type === "intent") {
+      if (await runIntentStep(callControlId, state, step)) return;
+      state.stepIndex += 1;
+      continue;
     }
-  });
 
-  if (!best || best.score < 3) return null;
-  return best;
-}
+    if (step.type === "transfer") {
+      if (await runTransferStep(callControlId, state, step)) return;
+      state.stepIndex += 1;
+      continue;
+    }
 
-async function initializeFlow(callControlId, toNumber, fromNumber) {
-  cancelSilenceTimer(callControlId, "apt_flow_start");
-  flowState.set(callControlId, {
-    step: "unit_number",
-    data: { to_number: toNumber || "", from_number: fromNumber || "" },
-    issueRetryUsed: false,
-    issueBuffer: "",
-    issueLastHeardAt: 0,
-    issueFinalizeTimer: null,
-    issueMaxTimer: null,
-    issueListeningActive: false,
-    lastIssueChunk: "",
-    lastIssueChunkAt: 0,
-    issueLowConfChunks: [],
-    issueBestChunk: null,
-    issueNeedsCleanup: false,
-    issuePostponeCount: 0,
-    issueForceFinalizeAt: 0,
-    ingested: false,
+    if (step.type === "review") {
+      state.awaitingInput = true;
+      state.reviewStage = "confirm";
+      console.log(`[apt flow] prompting ${step.step_id} call_control_id=${callControlId}`);
+      await speak(callControlId, buildReviewPrompt(state, step), {
+        interruptible: step.interruptible !== false,
+      });
+      return;
+    }
+
+    const prompt = stepPrompt(state, step);
+    if ((step.expected_input_type || "none") === "none") {
+      // Once only closing prompts are left, the ticket is complete; send it now so a caller
+      // who hangs up during "Goodbye" is not filed as abandoned.
+      if (!state.ingested && onlyClosingStepsLeft(state)) completeFlow(callControlId, state);
+      if (prompt) {
+        await speak(callControlId, prompt, { interruptible: step.interruptible !== false });
+        if (flowState.get(callControlId) !== state) return;
+      }
+      state.stepIndex += 1;
+      continue;
+    }
+
+    state.awaitingInput = true;
+    state.dtmfBuffer = "";
+    const prefillPrompt = offerPrefill(callControlId, state, step);
+    if (prefillPrompt) {
+      console.log(`[apt flow] prefill_offered step=${step.step_id} call_control_id=${callControlId}`);
+      await speak(callControlId, prefillPrompt, { interruptible: step.interruptible !== false });
+      return;
+    }
+    let seededPrompt = null;
+    if (step.capture === "buffered") {
+      startBufferedCapture(callControlId, state, step);
+      seededPrompt = seedBufferedCapture(callControlId, state, step);
+    }
+    console.log(`[apt flow] prompting ${step.step_id} call_control_id=${callControlId}`);
+    if (seededPrompt || prompt) {
+      await speak(callControlId, seededPrompt || prompt, {
+        interruptible: step.interruptible !== false,
+      });
+    }
+    return;
+  }
+
+  state.step = "complete";
+  if (!state.ingested) completeFlow(callControlId, state);
+  await hangUpAfterFlow(callControlId, "flow_complete");
+}
+
+// The last prompt has played; end the call instead of leaving the caller on an open line.
+async function hangUpAfterFlow(callControlId, reason) {
+  if (!activeCalls.has(callControlId)) return;
+  console.log(`[apt flow] hangup reason=${reason} call_control_id=${callControlId}`);
+  await sendTelnyxAction(callControlId, "hangup", {});
+}
+
+function onlyClosingStepsLeft(state) {
+  return state.flow.steps
+    .slice(state.stepIndex)
+    .every(
+      (step) =>
+        !stepApplies(state, step) ||
+        (!step.type && (step.expected_input_type || "none") === "none")
+    );
+}
+
+// Offers every other language in its own voice, then waits briefly for the caller to pick one.
+// Returns false when there is nothing to offer.
+async function runLanguageSelectStep(callControlId, state, step) {
+  const others = state.offeredLanguages.filter((language) => language !== state.language);
+  if (others.length === 0) return false;
+
+  state.awaitingInput = true;
+  console.log(
+    `[v5 Language] offering=${others.join(",")} current=${state.language} call_control_id=${callControlId}`
+  );
+  for (const language of others) {
+    await speak(callControlId, catalogString(language, "language_select", state.promptCatalogs), {
+      language,
+    });
+    if (flowState.get(callControlId) !== state || getFlowStep(state) !== step) return true;
+  }
+  state.languageTimer = setTimeout(() => {
+    state.languageTimer = null;
+    selectLanguage(callControlId, state, step, null, "timeout").catch(
+      logFailure("Language selection failed", callControlId)
+    );
+  }, step.wait_ms || LANGUAGE_SELECT_WAIT_MS);
+  return true;
+}
+
+function matchLanguageChoice(state, transcript) {
+  const norm = normalizeText(transcript);
+  return (
+    state.offeredLanguages.find((language) =>
+      includesPhrase(norm, LANGUAGES[language].select_words)
+    ) || null
+  );
+}
+
+async function selectLanguage(callControlId, state, step, language, source) {
+  if (getFlowStep(state) !== step || !state.awaitingInput) return;
+  clearTimeout(state.languageTimer);
+  state.languageTimer = null;
+  state.awaitingInput = false;
+
+  if (language && language !== state.language) {
+    state.language = language;
+    switchSttLanguage(callControlId, language);
+  }
+  console.log(
+    `[v5 Language] selected=${state.language} source=${source} call_control_id=${callControlId}`
+  );
+  state.stepIndex += 1;
+  await runFlow(callControlId);
+}
+
+function transferNumber(callControlId, state, step) {
+  if (step.in_hours_only && state.afterHours) return null;
+  return contextCache.get(callControlId)?.[step.number_key || "on_call_number"] || null;
+}
+
+// Returns true when the transfer owns the rest of the call; false lets the flow carry on.
+async function runTransferStep(callControlId, state, step) {
+  const onCallNumber = transferNumber(callControlId, state, step);
+  if (!onCallNumber) {
+    const closed = step.in_hours_only && state.afterHours;
+    const reason = closed ? "after_hours" : `no_${step.number_key || "on_call_number"}`;
+    console.log(`[v5 Transfer] skipped reason=${reason} call_control_id=${callControlId}`);
+    const unavailable = hoursText(state, step, "unavailable_prompt");
+    if (unavailable) await speak(callControlId, unavailable);
+    return false;
+  }
+
+  state.transfer = { step, status: "pending", timer: null };
+  ingestTicket(callControlId, state, buildTicketFields(state), "transferred");
+  cancelSilenceTimer(callControlId, "transfer");
+
+  await speak(callControlId, stepPrompt(state, step), { interruptible: false });
+  if (flowState.get(callControlId) !== state || state.transfer.status !== "pending") return true;
+
+  console.log(
+    `[v5 Transfer] started to=${onCallNumber} timeout_s=${TRANSFER_TIMEOUT_S} call_control_id=${callControlId}`
+  );
+  const sent = await sendTelnyxAction(callControlId, "transfer", {
+    to: onCallNumber,
+    from: state.data.to_number || undefined,
+    timeout_secs: TRANSFER_TIMEOUT_S,
+    target_leg_client_state: encodeClientState({ transfer_for: callControlId }),
   });
-  console.log(`[apt flow] started call_control_id=${callControlId}`);
-  await sendTelnyxAction(callControlId, "speak", {
-    payload: "To get this started, what is your unit number?",
-    voice: "female",
-    language: "en-US",
+  if (!sent) {
+    await resolveTransfer(callControlId, false, "action_failed");
+    return true;
+  }
+  if (state.transfer.status === "pending") {
+    state.transfer.timer = setTimeout(
+      () =>
+        resolveTransfer(callControlId, false, "no_answer").catch(
+          logFailure("Transfer outcome handling failed", callControlId)
+        ),
+      TRANSFER_TIMEOUT_S * 1000 + TRANSFER_OUTCOME_GRACE_MS
+    );
+  }
+  return true;
+}
+
+// Returns false when the context has nothing but intake to offer, so the step is skipped.
+async function runIntentStep(callControlId, state, step) {
+  const officeOpen = Boolean(contextCache.get(callControlId)?.office_number) && !state.afterHours;
+  if (contextFaqs(callControlId).length === 0 && !officeOpen) {
+    state.data[step.field_name] = "maintenance";
+    console.log(`[v5 Intent] skipped reason=nothing_to_offer call_control_id=${callControlId}`);
+    return false;
+  }
+  state.awaitingInput = true;
+  state.intentStage = "open";
+  console.log(`[apt flow] prompting ${step.step_id} call_control_id=${callControlId}`);
+  await speak(callControlId, stepPrompt(state, step), {
+    interruptible: step.interruptible !== false,
   });
+  return true;
 }
 
-async function handleFlowTranscript(callControlId, transcript) {
-  const state = flowState.get(callControlId);
-  if (!state) return;
-  if (state.step === "issue_description") {
-    await handleIssueChunk(callControlId, { text: transcript, conf: null, alternatives: [] });
+// Asking for a person wins over everything; an FAQ hit wins over maintenance words, so
+// "is the pool broken?" is answered rather than filed. Null when nothing matched.
+function classifyIntent(callControlId, state, step, transcript) {
+  const norm = normalizeText(transcript);
+  const intents = localized(state, step, "intents") || {};
+  if (includesPhrase(norm, intents.human || [])) return { intent: "human", match: null };
+  const match = findFaqMatch(transcript, contextFaqs(callControlId));
+  if (match) return { intent: "question", match };
+  if (includesPhrase(norm, intents.maintenance || [])) {
+    return { intent: "maintenance", match: null };
+  }
+  if (includesPhrase(norm, intents.question || [])) return { intent: "question", match: null };
+  return { intent: null, match: null };
+}
+
+async function handleIntentAnswer(callControlId, state, step, transcript) {
+  const { intent, match } = classifyIntent(callControlId, state, step, transcript);
+  console.log(
+    `[v5 Intent] stage=${state.intentStage} intent=${intent || "none"} call_control_id=${callControlId}`
+  );
+
+  if (intent === "question") {
+    const answered = await speakFaqAnswer(callControlId, match, transcript);
+    if (flowState.get(callControlId) !== state) return;
+    state.intentStage = "followup";
+    if (answered) await speak(callControlId, hoursText(state, step, "followup_prompt"));
+    return;
+  }
+  if (!intent && state.intentStage === "followup") {
+    await speak(callControlId, hoursText(state, step, "followup_prompt"));
     return;
   }
+  // An opening we can't place is most likely a maintenance problem in the caller's own words.
+  if (!intent || openingDescribesIssue(callControlId, state, transcript)) {
+    state.openingDescription = normalizeIssueText(transcript) || null;
+  }
+  await captureStepValue(callControlId, state, step, intent || "maintenance");
+}
+
+// "My dishwasher is broken" describes the problem; "I have a maintenance problem" does not.
+function openingDescribesIssue(callControlId, state, transcript) {
+  const categoryStep = state.flow.steps.find(
+    (candidate) => candidate.type === "compute" && candidate.compute === "issue_category"
+  );
+  const categories = categoryStep
+    ? contextIssueCategories(callControlId, contextCache.get(callControlId)) ||
+      localized(state, categoryStep, "categories")
+    : {};
+  if (categorizeIssue(transcript, categories).category !== DEFAULT_CATEGORY) return true;
+  const details = extractIssueDetails(transcript);
+  return Boolean(details.room || details.appliance);
+}
+
+// Starts the first buffered capture with the issue the caller already gave in their
+// opening, and returns the prompt that reads it back; null when there is nothing to seed
+// or the step has no seeded_prompt.
+function seedBufferedCapture(callControlId, state, step) {
+  const seed = state.openingDescription;
+  const template = localized(state, step, "seeded_prompt");
+  if (step.capture !== "buffered" || !seed || !template) return null;
+  state.openingDescription = null;
+  state.captureBuffer = seed;
+  state.lastCaptureChunk = seed;
+  state.lastCaptureChunkAt = Date.now();
+  state.captureForceFinalizeAt = Date.now() + CAPTURE_MAX_LISTEN_MS;
+  console.log(
+    `[apt flow] capture_seeded step=${step.step_id} call_control_id=${callControlId} buffer="${seed}"`
+  );
+  return fillTemplate(template, { value: seed });
+}
+
+// "Can I talk to a person?" after the opening question jumps straight to the office
+// transfer. Returns true when the transcript was taken as that request.
+async function handleIntentSwitch(callControlId, state, transcript) {
+  const steps = state.flow.steps;
+  const intentIndex = steps.findIndex((step) => step.type === "intent");
+  if (intentIndex === -1 || state.stepIndex <= intentIndex || state.transfer) return false;
+  const intentStep = steps[intentIndex];
+  const human = localized(state, intentStep, "intents")?.human || [];
+  const norm = normalizeText(transcript);
+  const asked =
+    human.some((candidate) => normalizeText(candidate) === norm) ||
+    (includesPhrase(norm, human) &&
+      includesPhrase(norm, localized(state, intentStep, "switch_phrases") || []));
+  if (!asked) return false;
+  const transferIndex = steps.findIndex(
+    (step, index) =>
+      index > intentIndex && step.type === "transfer" && step.only_if_intent === "human"
+  );
+  if (transferIndex === -1) return false;
+
+  const step = getFlowStep(state);
+  const transferStep = steps[transferIndex];
+  const number = transferNumber(callControlId, state, transferStep);
+  console.log(
+    `[v5 Intent] switch from=${step.step_id} intent=human available=${Boolean(
+      number
+    )} call_control_id=${callControlId}`
+  );
+  if (!number) {
+    const unavailable = hoursText(state, transferStep, "unavailable_prompt");
+    await speak(callControlId, `${unavailable} ${repeatPrompt(callControlId, state, step)}`);
+    return true;
+  }
+
+  if (isBufferedCaptureActive(state)) {
+    clearCaptureTimers(state);
+    state.captureListeningActive = false;
+    const heard = normalizeIssueText(state.captureBuffer);
+    if (heard) state.data[step.field_name] = heard;
+  }
+  state.pendingPrefill = null;
+  state.pendingReadback = null;
+  state.reviewStage = null;
+  state.correction = null;
+  state.awaitingInput = false;
+  state.data[intentStep.field_name] = "human";
+  state.stepIndex = transferIndex;
+  await runFlow(callControlId);
+  return true;
+}
+
+async function resolveTransfer(callControlId, connected, outcome) {
+  const state = flowState.get(callControlId);
+  const transfer = state?.transfer;
+  if (!transfer || transfer.status !== "pending") return;
+
+  clearTimeout(transfer.timer);
+  transfer.status = connected ? "connected" : "failed";
+  const { step } = transfer;
+  state.data[step.field_name] = connected;
+  state.data[step.fallback_field] = !connected;
+  console.log(
+    `[v5 Transfer] outcome=${outcome} connected=${connected} call_control_id=${callControlId}`
+  );
+  postMaintenanceEventUpdate(callControlId, "escalation", {
+    [step.field_name]: connected,
+    [step.fallback_field]: !connected,
+    transfer_outcome: outcome,
+  });
+
+  state.awaitingInput = false;
+  state.step = "complete";
+  completeFlow(callControlId, state);
+  if (!connected && activeCalls.has(callControlId)) {
+    await speak(callControlId, localized(state, step, "fallback_prompt"), { interruptible: false });
+    await hangUpAfterFlow(callControlId, "transfer_failed");
+  }
+}
 
-  if (state.step === "unit_number") {
-    const unit = (transcript || "").trim();
-    state.data.unit_number = unit;
-    state.step = "issue_description";
+async function captureStepValue(callControlId, state, step, value) {
+  if (step.field_name) {
+    state.data[step.field_name] = value;
+    state.inputMethods[step.field_name] =
+      step.capture === "buffered" ? "speech" : state.inputMethod;
     console.log(
-      `[apt flow] captured unit_number="${unit}" call_control_id=${callControlId}`
+      `[apt flow] captured ${step.field_name}=${JSON.stringify(
+        value
+      )} call_control_id=${callControlId}`
     );
-    console.log(`[apt flow] prompting issue_description call_control_id=${callControlId}`);
-    clearIssueTimers(state);
-    state.issueListeningActive = true;
-    state.issueBuffer = "";
-    state.lastIssueChunk = "";
-    state.lastIssueChunkAt = 0;
-    state.issueLastHeardAt = Date.now();
-    state.issuePostponeCount = 0;
-    state.issueForceFinalizeAt = Date.now() + ISSUE_MAX_LISTEN_MS;
-    state.issueMaxTimer = setTimeout(
-      () => finalizeIssue(callControlId, "max_listen"),
-      ISSUE_MAX_LISTEN_MS
+  }
+  state.awaitingInput = false;
+  if (state.correction) {
+    const { field, returnToIndex } = state.correction;
+    const wasEmergency = Boolean(state.data.is_emergency);
+    state.correction = null;
+    state.flow.steps
+      .filter((candidate) => candidate.type === "compute" && candidate.source_field === field)
+      .forEach((computeStep) => runComputeStep(callControlId, state, computeStep));
+    // A correction that turns the call into an emergency still owes the caller the
+    // emergency-only steps (911 notice, on-call transfer) before the review comes back.
+    const emergencyIndex =
+      !wasEmergency && state.data.is_emergency
+        ? state.flow.steps.findIndex((candidate) => candidate.only_if_emergency === true)
+        : -1;
+    if (emergencyIndex !== -1 && emergencyIndex < returnToIndex) {
+      console.log(
+        `[apt flow] correction_emergency field=${field} call_control_id=${callControlId}`
+      );
+      state.stepIndex = emergencyIndex;
+      state.emergencyResumeIndex = returnToIndex;
+    } else {
+      state.stepIndex = returnToIndex;
+    }
+  } else {
+    state.stepIndex += 1;
+  }
+  await runFlow(callControlId);
+}
+
+async function finalizeBufferedCapture(callControlId, reason = "unknown") {
+  const state = flowState.get(callControlId);
+  if (!isBufferedCaptureActive(state)) return;
+  const step = getFlowStep(state);
+
+  clearCaptureTimers(state);
+
+  const text = normalizeIssueText(state.captureBuffer);
+  const words = text ? text.split(/\s+/).filter(Boolean).length : 0;
+  const chars = text.length;
+  const badRatio = computeBadTokenRatio(text);
+  const usedLowConf = state.captureLowConfChunks?.length > 0;
+  const isGarbled =
+    STT_QUALITY_GATE_ENABLED && (words < STT_MIN_WORDS || badRatio > STT_GARBLE_MAX_RATIO);
+  const now = Date.now();
+  const forced =
+    reason === "max_listen" ||
+    (state.captureForceFinalizeAt && now >= state.captureForceFinalizeAt);
+
+  if (isGarbled && !forced && state.capturePostponeCount < CAPTURE_GARBLED_MAX_POSTPONES) {
+    state.capturePostponeCount += 1;
+    clearCaptureTimers(state);
+    state.captureFinalizeTimer = setTimeout(
+      () =>
+        finalizeBufferedCapture(callControlId, "postpone").catch(
+          logFailure("Buffered capture finalize failed", callControlId)
+        ),
+      CAPTURE_GARBLED_POSTPONE_MS
     );
     console.log(
-      `[apt flow] issue_listen_start call_control_id=${callControlId} silence_finalize_ms=${ISSUE_SILENCE_FINALIZE_MS} max_listen_ms=${ISSUE_MAX_LISTEN_MS}`
+      `[apt flow] capture_finalize_postponed step=${step.step_id} call_control_id=${callControlId} postpone_count=${state.capturePostponeCount} in_ms=${CAPTURE_GARBLED_POSTPONE_MS} words=${words} bad_ratio=${badRatio.toFixed(
+        2
+      )} buffer="${text}"`
     );
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: "Please briefly describe the maintenance issue you’re experiencing.",
-      voice: "female",
-      language: "en-US",
-    });
     return;
   }
 
-  if (state.step === "issue_description") {
-    const issueChunk = normalizeIssueText(transcript);
-    if (!issueChunk) {
-      return;
-    }
+  state.captureListeningActive = false;
 
-    const now = Date.now();
-    if (
-      state.lastIssueChunk &&
-      issueChunk === state.lastIssueChunk &&
-      now - state.lastIssueChunkAt < ISSUE_APPEND_DEDUP_WINDOW_MS
-    ) {
-      return;
-    }
+  console.log(
+    `[apt flow] capture_finalize step=${step.step_id} call_control_id=${callControlId} buffer="${text}" chars=${chars} words=${words}`
+  );
+
+  if (isGarbled) {
+    state.captureNeedsCleanup = true;
+    console.log(
+      `[apt flow] capture_garbled step=${step.step_id} call_control_id=${callControlId} words=${words} bad_ratio=${badRatio.toFixed(
+        2
+      )} buffer="${text}"`
+    );
+  }
+  if (forced) {
+    console.log(
+      `[apt flow] capture_finalize_forced step=${step.step_id} call_control_id=${callControlId} reason=${reason} words=${words} bad_ratio=${badRatio.toFixed(
+        2
+      )} buffer="${text}"`
+    );
+  }
+
+  console.log(
+    `[apt flow] capture_quality_summary step=${step.step_id} call_control_id=${callControlId} final_words=${words} bad_ratio=${badRatio.toFixed(
+      2
+    )} used_low_conf=${usedLowConf}`
+  );
+
+  await captureStepValue(callControlId, state, step, text);
+}
+
+function contextFaqs(callControlId) {
+  const faqs = contextCache.get(callControlId)?.faqs;
+  return Array.isArray(faqs) ? faqs : [];
+}
+
+function findFaqMatch(transcript, faqs) {
+  if (!transcript || !Array.isArray(faqs) || faqs.length === 0) return null;
+  const normTranscript = normalizeText(transcript);
+  if (!normTranscript) return null;
 
-    state.lastIssueChunk = issueChunk;
-    state.lastIssueChunkAt = now;
+  const transcriptTokens = new Set(normTranscript.split(" ").filter(Boolean));
+  let best = null;
+
+  faqs.forEach((faq, index) => {
+    const questionNorm = normalizeText(faq?.question || "");
+    const keywords = Array.isArray(faq?.keywords) ? faq.keywords : [];
+    let score = 0;
 
-    if (!state.issueBuffer) {
-      state.issueBuffer = issueChunk;
+    if (questionNorm && normTranscript.includes(questionNorm)) {
+      score += 5;
     } else {
-      state.issueBuffer = `${state.issueBuffer} ${issueChunk}`.trim();
+      const qTokens = questionNorm.split(" ").filter((tok) => tok && !FAQ_STOPWORDS.has(tok));
+      qTokens.forEach((tok) => {
+        if (transcriptTokens.has(tok)) score += 1;
+      });
+    }
+
+    keywords.forEach((kw) => {
+      const kwNorm = normalizeText(kw);
+      if (kwNorm && normTranscript.includes(kwNorm)) {
+        score += 2;
+      }
+    });
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { faq, score, index };
     }
+  });
 
+  if (!best || best.score < 3) return null;
+  return best;
+}
+
+// After hours, the context's after_hours_flow_definition (when present) replaces flow_definition.
+function resolveFlowDefinition(callControlId, context, afterHours) {
+  const afterHoursFlow = Boolean(afterHours && context?.after_hours_flow_definition);
+  const definition = afterHoursFlow
+    ? context.after_hours_flow_definition
+    : context?.flow_definition;
+  if (!definition) {
     console.log(
-      `[apt flow] issue_chunk call_control_id=${callControlId} text="${issueChunk}" buffer_chars=${state.issueBuffer.length}`
+      `[v5 Config] call_control_id=${callControlId} flow=${FLOW_CONFIG.flow} flow_source=builtin`
     );
+    return FLOW_CONFIG;
+  }
 
-    state.issueLastHeardAt = now;
-    clearIssueTimers(state);
-    state.issueFinalizeTimer = setTimeout(
-      () => finalizeIssue(callControlId, "silence"),
-      ISSUE_SILENCE_FINALIZE_MS
+  const { valid, errors } = validateFlowDefinition(definition, {
+    computeKinds: Object.keys(COMPUTE_HANDLERS),
+    prefillSources: Object.keys(PREFILL_SOURCES),
+    normalizers: Object.keys(NORMALIZERS),
+  });
+  if (!valid) {
+    console.error(
+      JSON.stringify({
+        level: "error",
+        message: "Invalid flow definition in voice context; using built-in flow",
+        call_control_id: callControlId,
+        flow: typeof definition?.flow === "string" ? definition.flow : null,
+        errors,
+      })
+    );
+    console.log(
+      `[v5 Config] call_control_id=${callControlId} flow=${FLOW_CONFIG.flow} flow_source=fallback`
     );
-    state.issueMaxTimer = setTimeout(
-      () => finalizeIssue(callControlId, "max_listen"),
-      ISSUE_MAX_LISTEN_MS
+    return FLOW_CONFIG;
+  }
+
+  console.log(
+    `[v5 Config] call_control_id=${callControlId} flow=${definition.flow} flow_source=${
+      afterHoursFlow ? "context_after_hours" : "context"
+    }`
+  );
+  return definition;
+}
+
+function lookupResident(callControlId, fromNumber, context) {
+  const fromContext = Array.isArray(context?.residents);
+  const records = fromContext ? context.residents : localResidents;
+  if (!records) return null;
+
+  const { match, resident } = findResident(fromNumber, records);
+  console.log(
+    `[v5 Resident] match=${match} source=${fromContext ? "context" : "file"} resident_id=${
+      resident?.resident_id || "none"
+    } call_control_id=${callControlId}`
+  );
+  return resident;
+}
+
+function checkCallHours(callControlId) {
+  let hours;
+  try {
+    hours = checkBusinessHours(contextCache.get(callControlId)?.business_hours);
+  } catch (error) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Invalid business_hours in voice context; treating the call as in hours",
+        call_control_id: callControlId,
+        error: error?.message || String(error),
+      })
+    );
+    hours = checkBusinessHours(null);
+  }
+  console.log(
+    `[v5 Hours] after_hours=${hours.after_hours} reason=${hours.reason} local_time=${
+      hours.local_time || "none"
+    } call_control_id=${callControlId}`
+  );
+  return hours;
+}
+
+async function initializeFlow(callControlId, toNumber, fromNumber, options = {}) {
+  const context = contextCache.get(callControlId);
+  const hours = options.hours || checkBusinessHours(null);
+  const flow = resolveFlowDefinition(callControlId, context, hours.after_hours);
+  const defaultLanguage = tenantDefaultLanguage(context);
+  const resident = lookupResident(callControlId, fromNumber, context);
+  flowState.set(callControlId, {
+    flow,
+    resident,
+    pendingPrefill: null,
+    prefillOffered: {},
+    conversation: [],
+    silenceCount: 0,
+    inputMethod: "speech",
+    inputMethods: {},
+    dtmfBuffer: "",
+    language: defaultLanguage,
+    defaultLanguage,
+    offeredLanguages: offeredLanguages(context),
+    promptCatalogs: isPlainObject(context?.prompt_catalogs) ? context.prompt_catalogs : null,
+    untranslated: new Set(),
+    languageTimer: null,
+    stepIndex: 0,
+    step: null,
+    awaitingInput: false,
+    retries: {},
+    pendingReadback: null,
+    normalized: {},
+    computed: {},
+    intentStage: null,
+    reviewStage: null,
+    correction: null,
+    emergencyResumeIndex: null,
+    openingDescription: null,
+    transfer: null,
+    recordingMode: recordingMode(context),
+    businessHours: hours,
+    afterHours: hours.after_hours,
+    promptOverrides: options.promptOverrides || {},
+    data: { to_number: toNumber || "", from_number: fromNumber || "" },
+    captureBuffer: "",
+    captureLastHeardAt: 0,
+    captureFinalizeTimer: null,
+    captureMaxTimer: null,
+    captureListeningActive: false,
+    lastCaptureChunk: "",
+    lastCaptureChunkAt: 0,
+    captureLowConfChunks: [],
+    captureBestChunk: null,
+    captureNeedsCleanup: false,
+    capturePostponeCount: 0,
+    captureForceFinalizeAt: 0,
+    ingested: false,
+  });
+  console.log(`[apt flow] started flow=${flow.flow} call_control_id=${callControlId}`);
+  const mode = flowState.get(callControlId).recordingMode;
+  if (mode) {
+    startRecording(callControlId, mode).catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Recording start failed",
+          call_control_id: callControlId,
+          mode,
+          error: error?.message || String(error),
+        })
+      );
+    });
+  }
+  await runFlow(callControlId);
+}
+
+function recordingMode(context) {
+  return RECORDING_MODES.includes(context?.recording) ? context.recording : null;
+}
+
+// The consent notice is queued ahead of the greeting, and recording starts once it has played.
+async function startRecording(callControlId, mode) {
+  await speak(callControlId, phrase(callControlId, "recording_notice"), { interruptible: false });
+  if (!activeCalls.has(callControlId)) return;
+
+  if (mode === "telnyx") {
+    await sendTelnyxAction(callControlId, "record_start", {
+      format: "wav",
+      channels: "dual",
+      play_beep: false,
+    });
+  } else {
+    const fileName = `${callControlId.replace(/[^\w.-]/g, "_")}.wav`;
+    const recorder = createWavRecorder(path.join(RECORDINGS_DIR, fileName), {
+      onError: (error) => {
+        console.error(
+          JSON.stringify({
+            level: "error",
+            message: "Local recording write failed",
+            call_control_id: callControlId,
+            error: error?.message || String(error),
+          })
+        );
+      },
+    });
+    localRecorders.set(callControlId, recorder);
+  }
+  console.log(`[v5 Recording] started mode=${mode} call_control_id=${callControlId}`);
+}
+
+function finishLocalRecording(callControlId) {
+  const recorder = localRecorders.get(callControlId);
+  if (!recorder) return;
+  localRecorders.delete(callControlId);
+
+  recorder
+    .close()
+    .then(({ filePath, bytes, durationMs }) => {
+      console.log(
+        `[v5 Recording] saved mode=local call_control_id=${callControlId} bytes=${bytes} duration_ms=${durationMs}`
+      );
+      postMaintenanceEventUpdate(callControlId, "recording", {
+        recording: { mode: "local", location: filePath, duration_ms: durationMs },
+      });
+      pruneExpiredRecordings();
+    })
+    .catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Local recording could not be finalized",
+          call_control_id: callControlId,
+          error: error?.message || String(error),
+        })
+      );
+    });
+}
+
+// Telnyx's recording URLs are presigned and expire within minutes, so the ticket only
+// gets the recording_id; FlowSync asks Telnyx for a fresh URL when someone plays it.
+function handleRecordingSaved(callControlId, payload) {
+  const recordingId = payload?.recording_id || null;
+  console.log(
+    `[v5 Recording] saved mode=telnyx call_control_id=${callControlId} recording_id=${recordingId}`
+  );
+  postMaintenanceEventUpdate(callControlId, "recording", {
+    recording: {
+      mode: "telnyx",
+      location: null,
+      recording_id: recordingId,
+      started_at: payload?.recording_started_at || null,
+      ended_at: payload?.recording_ended_at || null,
+    },
+  });
+}
+
+function pruneExpiredRecordings() {
+  if (!(RECORDING_RETENTION_DAYS > 0)) return;
+  try {
+    const removed = pruneRecordings(RECORDINGS_DIR, RECORDING_RETENTION_DAYS * 86400000);
+    if (removed > 0) {
+      console.log(`[v5 Recording] pruned=${removed} retention_days=${RECORDING_RETENTION_DAYS}`);
+    }
+  } catch (error) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Recording cleanup failed",
+        error: error?.message || String(error),
+      })
     );
+  }
+}
+
+function normalizeAnswer(callControlId, step, raw) {
+  return NORMALIZERS[step.normalize](raw, contextCache.get(callControlId), {
+    unit: phrase(callControlId, "unit_word"),
+    building: phrase(callControlId, "building_word"),
+  });
+}
+
+// Offers a value we already know ("Is this about unit 2 0 4?") once per step.
+function offerPrefill(callControlId, state, step) {
+  if (!step.prefill || state.prefillOffered[step.step_id]) return null;
+  const known = PREFILL_SOURCES[step.prefill]?.(state);
+  if (!known) return null;
+  const result = step.normalize
+    ? normalizeAnswer(callControlId, step, known)
+    : { value: known, readback: known };
+  if (!result) return null;
+
+  state.prefillOffered[step.step_id] = true;
+  state.pendingPrefill = { raw: known, result };
+  return fillTemplate(localized(state, step, "prefill_prompt"), { value: result.readback });
+}
+
+async function handlePrefillAnswer(callControlId, state, step, transcript) {
+  const { raw, result } = state.pendingPrefill;
+  const answer = parseYesNo(transcript, state.language);
+  state.pendingPrefill = null;
+  console.log(
+    `[apt flow] prefill step=${step.step_id} confirmed=${answer} call_control_id=${callControlId}`
+  );
+
+  if (answer === true) {
+    if (step.normalize) {
+      await acceptNormalizedValue(callControlId, state, step, raw, result);
+    } else {
+      await captureStepValue(callControlId, state, step, result.value);
+    }
+    return;
+  }
+  // Anything other than yes/no is most likely the answer itself ("it's three ten").
+  if (answer === null) {
+    await handleFlowTranscript(callControlId, transcript, state.inputMethod);
+    return;
+  }
+  await speak(callControlId, stepPrompt(state, step), {
+    interruptible: step.interruptible !== false,
+  });
+}
+
+async function acceptNormalizedValue(callControlId, state, step, raw, result) {
+  state.normalized[step.field_name] = { raw, ...(result?.meta || {}) };
+  await captureStepValue(callControlId, state, step, result ? result.value : raw);
+}
+
+async function retryNormalizedStep(callControlId, state, step, raw, result, lead) {
+  const tries = state.retries[step.step_id] || 0;
+  if (tries >= (step.max_retries || 0)) {
     console.log(
-      `[apt flow] issue_finalize_scheduled call_control_id=${callControlId} in_ms=${ISSUE_SILENCE_FINALIZE_MS}`
+      `[apt flow] normalize_gave_up step=${step.step_id} raw="${raw}" call_control_id=${callControlId}`
     );
+    await acceptNormalizedValue(callControlId, state, step, raw, result);
     return;
   }
 
-  if (state.step === "permission_to_enter") {
-    const parsed = parseYesNo(transcript);
-    if (parsed === null) {
-      const tries = state.retries_permission || 0;
-      if (tries < 1) {
-        state.retries_permission = tries + 1;
-        await sendTelnyxAction(callControlId, "speak", {
-          payload:
-            "Do we have permission to enter your unit if you're not home? Please say yes or no.",
-          voice: "female",
-          language: "en-US",
-        });
-        return;
-      }
+  state.retries[step.step_id] = tries + 1;
+  console.log(
+    `[apt flow] retry step=${step.step_id} attempt=${tries + 1} call_control_id=${callControlId}`
+  );
+  await speak(callControlId, `${lead} ${retryPrompt(state, step)}`, {
+    interruptible: step.interruptible !== false,
+  });
+}
+
+async function handleNormalizedAnswer(callControlId, state, step, raw) {
+  const result = normalizeAnswer(callControlId, step, raw);
+  console.log(
+    `[apt flow] normalized step=${step.step_id} raw="${raw}" value=${JSON.stringify(
+      result?.value ?? null
+    )} recognized=${Boolean(result?.recognized)} call_control_id=${callControlId}`
+  );
+
+  if (result?.recognized) {
+    await acceptNormalizedValue(callControlId, state, step, raw, result);
+    return;
+  }
+  if (!result) {
+    const lead = phrase(callControlId, "unrecognized_retry_lead");
+    await retryNormalizedStep(callControlId, state, step, raw, null, lead);
+    return;
+  }
+
+  state.pendingReadback = { raw, result };
+  await speak(callControlId, readbackPrompt(callControlId, state, step, result));
+}
+
+// After a failed attempt, steps that take keypad input say so.
+function retryPrompt(state, step) {
+  const prompt = stepPrompt(state, step);
+  const hint = step.dtmf ? localized(state, step, "keypad_hint") : null;
+  return hint ? `${prompt} ${hint}` : prompt;
+}
+
+// Keypad input goes through the same handlers as speech: 1 and 2 become the call
+// language's yes and no, and digits ending with # become the step's answer.
+async function handleDtmf(callControlId, digit) {
+  const state = flowState.get(callControlId);
+  const step = getFlowStep(state);
+  if (!state?.awaitingInput || !step?.dtmf || !digit) return;
+
+  cancelSilenceTimer(callControlId, "dtmf");
+  state.silenceCount = 0;
+  if (canBargeIn(callControlId)) {
+    bargeIn(callControlId, "dtmf");
+  }
+
+  if (state.pendingReadback || state.pendingPrefill || step.dtmf === "yes_no") {
+    if (!(digit in KEYPAD_YES_NO)) return;
+    const words = LANGUAGES[state.language][KEYPAD_YES_NO[digit] ? "yes_words" : "no_words"];
+    await submitKeypadInput(callControlId, digit, words[0]);
+    return;
+  }
+
+  if (digit === "*") {
+    state.dtmfBuffer = "";
+  } else if (digit !== "#") {
+    state.dtmfBuffer += digit;
+  } else if (state.dtmfBuffer) {
+    const digits = state.dtmfBuffer;
+    state.dtmfBuffer = "";
+    await submitKeypadInput(callControlId, digits, digits);
+    return;
+  }
+  armStepSilenceTimer(callControlId);
+}
+
+async function submitKeypadInput(callControlId, keys, transcript) {
+  console.log(`[apt flow] keypad keys=${keys} call_control_id=${callControlId}`);
+  recordTurn(callControlId, "caller", keys, { input_method: "keypad" });
+  await handleFlowTranscript(callControlId, transcript, "keypad");
+}
+
+function readbackPrompt(callControlId, state, step, result) {
+  return fillTemplate(
+    localized(state, step, "readback_prompt") || phrase(callControlId, "readback_prompt"),
+    { value: result.readback }
+  );
+}
+
+// What the caller was last asked on this step, for repeating it after silence.
+function repeatPrompt(callControlId, state, step) {
+  const callback = callbackRequests.get(callControlId);
+  if (callback) return callbackPrompt(callControlId, callback);
+  if (state.pendingPrefill) {
+    return fillTemplate(localized(state, step, "prefill_prompt"), {
+      value: state.pendingPrefill.result.readback,
+    });
+  }
+  if (state.pendingReadback) {
+    return readbackPrompt(callControlId, state, step, state.pendingReadback.result);
+  }
+  if (step.type === "intent") {
+    return hoursText(state, step, state.intentStage === "followup" ? "followup_prompt" : "prompt");
+  }
+  if (step.type === "review") {
+    return state.reviewStage === "which_field"
+      ? localized(state, step, "correction_prompt")
+      : buildReviewPrompt(state, step);
+  }
+  return stepPrompt(state, step);
+}
+
+async function handleReadbackAnswer(callControlId, state, step, transcript) {
+  const { raw, result } = state.pendingReadback;
+  const confirmed = parseYesNo(transcript, state.language) === true;
+  state.pendingReadback = null;
+  console.log(
+    `[apt flow] readback step=${step.step_id} confirmed=${confirmed} call_control_id=${callControlId}`
+  );
+
+  if (confirmed) {
+    await acceptNormalizedValue(callControlId, state, step, raw, result);
+    return;
+  }
+  const lead = phrase(callControlId, "readback_retry_lead");
+  await retryNormalizedStep(callControlId, state, step, raw, result, lead);
+}
+
+function findFieldStep(state, fieldName) {
+  return state.flow.steps.find((step) => step.field_name === fieldName) || null;
+}
+
+function describeReviewField(state, step, value) {
+  const label = step.summary_label || step.field_name;
+  if (step.expected_input_type === "yes_no") {
+    if (value === true) return localized(state, step, "review_yes") || `${label}: yes.`;
+    if (value === false) return localized(state, step, "review_no") || `${label}: no.`;
+    return "";
+  }
+  if (value === undefined || value === null || value === "") return "";
+
+  let spoken = String(value);
+  if (step.normalize) {
+    spoken = spoken.split("").join(" ");
+  } else if (step.capture === "buffered") {
+    const words = spoken.split(/\s+/);
+    if (words.length > REVIEW_ISSUE_MAX_WORDS) {
+      spoken = `${words.slice(0, REVIEW_ISSUE_MAX_WORDS).join(" ")}…`;
     }
-    state.data.permission_to_enter = parsed;
+  }
+  return fillTemplate(localized(state, step, "review_text") || `${label}: {value}.`, {
+    value: spoken,
+  });
+}
+
+function buildReviewPrompt(state, step) {
+  const summary = step.fields
+    .map((fieldName) => {
+      const fieldStep = findFieldStep(state, fieldName);
+      return fieldStep ? describeReviewField(state, fieldStep, state.data[fieldName]) : "";
+    })
+    .filter(Boolean)
+    .join(" ");
+  return fillTemplate(stepPrompt(state, step), { summary });
+}
+
+// Picks the reviewed field the caller named first ("the unit is wrong").
+function findMentionedField(state, step, transcript) {
+  const norm = ` ${normalizeText(transcript)} `;
+  let best = null;
+  step.fields.forEach((fieldName) => {
+    const fieldStep = findFieldStep(state, fieldName);
+    const aliases = fieldStep
+      ? [...(localized(state, fieldStep, "aliases") || []), ...(fieldStep.aliases || [])]
+      : [];
+    aliases.forEach((alias) => {
+      const index = norm.indexOf(` ${normalizeText(alias)} `);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { index, fieldName };
+      }
+    });
+  });
+  return best?.fieldName || null;
+}
+
+async function startCorrection(callControlId, state, fieldName) {
+  const fieldIndex = state.flow.steps.findIndex((candidate) => candidate.field_name === fieldName);
+  console.log(`[apt flow] correction field=${fieldName} call_control_id=${callControlId}`);
+  state.correction = { field: fieldName, returnToIndex: state.stepIndex };
+  state.reviewStage = null;
+  state.awaitingInput = false;
+  delete state.retries[state.flow.steps[fieldIndex].step_id];
+  state.stepIndex = fieldIndex;
+  await runFlow(callControlId);
+}
+
+async function handleReviewAnswer(callControlId, state, step, transcript) {
+  const answer = parseYesNo(transcript, state.language);
+  const mentioned = answer === true ? null : findMentionedField(state, step, transcript);
+
+  if (mentioned) {
+    await startCorrection(callControlId, state, mentioned);
+    return;
+  }
+
+  if (state.reviewStage === "confirm" && answer === true) {
+    console.log(`[apt flow] review_confirmed call_control_id=${callControlId}`);
+    state.reviewStage = null;
+    await captureStepValue(callControlId, state, step, true);
+    return;
+  }
+
+  if (state.reviewStage === "confirm" && answer === false) {
+    state.reviewStage = "which_field";
+    await speak(callControlId, localized(state, step, "correction_prompt"));
+    return;
+  }
+
+  const tries = state.retries[step.step_id] || 0;
+  if (tries >= (step.max_retries || 0)) {
     console.log(
-      `[apt flow] captured permission_to_enter=${parsed} call_control_id=${callControlId}`
+      `[apt flow] review_unresolved stage=${state.reviewStage} call_control_id=${callControlId}`
     );
-    state.step = "pets_present";
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: "Are there any pets in the unit? Please say yes or no.",
-      voice: "female",
-      language: "en-US",
-    });
+    state.reviewStage = null;
+    await captureStepValue(callControlId, state, step, null);
+    return;
+  }
+  state.retries[step.step_id] = tries + 1;
+  const promptKey = state.reviewStage === "which_field" ? "correction_prompt" : "retry_prompt";
+  await speak(callControlId, localized(state, step, promptKey));
+}
+
+async function handleFlowTranscript(callControlId, transcript, inputMethod = "speech") {
+  const state = flowState.get(callControlId);
+  if (!state || !state.awaitingInput) return;
+  const step = getFlowStep(state);
+  if (!step) return;
+  state.inputMethod = inputMethod;
+
+  if (await handleIntentSwitch(callControlId, state, transcript)) return;
+  if (
+    inputMethod === "speech" &&
+    (await handleFaqInterruption(callControlId, state, step, transcript))
+  ) {
+    return;
+  }
+
+  if (state.pendingPrefill) {
+    await handlePrefillAnswer(callControlId, state, step, transcript);
+    return;
+  }
+
+  if (state.pendingReadback) {
+    await handleReadbackAnswer(callControlId, state, step, transcript);
+    return;
+  }
+
+  if (step.type === "review") {
+    await handleReviewAnswer(callControlId, state, step, transcript);
+    return;
+  }
+
+  if (step.type === "intent") {
+    await handleIntentAnswer(callControlId, state, step, transcript);
+    return;
+  }
+
+  if (step.type === "language_select") {
+    const choice = matchLanguageChoice(state, transcript);
+    await selectLanguage(callControlId, state, step, choice, choice ? "caller" : "unmatched");
     return;
   }
 
-  if (state.step === "pets_present") {
-    const parsed = parseYesNo(transcript);
+  if (step.capture === "buffered") {
+    await handleBufferedChunk(callControlId, { text: transcript, conf: null, alternatives: [] });
+    return;
+  }
+
+  if (step.expected_input_type === "yes_no") {
+    const parsed = parseYesNo(transcript, state.language);
     if (parsed === null) {
-      const tries = state.retries_pets || 0;
-      if (tries < 1) {
-        state.retries_pets = tries + 1;
-        await sendTelnyxAction(callControlId, "speak", {
-          payload: "Are there any pets in the unit? Please say yes or no.",
-          voice: "female",
-          language: "en-US",
+      const tries = state.retries[step.step_id] || 0;
+      if (tries < (step.max_retries || 0)) {
+        state.retries[step.step_id] = tries + 1;
+        console.log(
+          `[apt flow] retry step=${step.step_id} attempt=${tries + 1} call_control_id=${callControlId}`
+        );
+        await speak(callControlId, retryPrompt(state, step), {
+          interruptible: step.interruptible !== false,
         });
         return;
       }
     }
-    state.data.pets_present = parsed;
+    await captureStepValue(callControlId, state, step, parsed);
+    return;
+  }
+
+  const value = (transcript || "").trim();
+  if (!value) return;
+  if (step.normalize) {
+    await handleNormalizedAnswer(callControlId, state, step, value);
+    return;
+  }
+  await captureStepValue(callControlId, state, step, value);
+}
+
+function buildTicketFields(state) {
+  const fields = {};
+  state.flow.steps.forEach((step) => {
+    if (!step.field_name) return;
+    const value = state.data[step.field_name];
+    if (step.type === "compute") {
+      fields[step.field_name] =
+        (step.compute || "emergency_keywords") === "emergency_keywords"
+          ? Boolean(value)
+          : value ?? null;
+      Object.assign(fields, state.computed[step.field_name]);
+    } else if (step.type === "transfer") {
+      fields[step.field_name] = value === undefined ? null : value;
+      fields[step.fallback_field] = Boolean(state.data[step.fallback_field]);
+    } else if (step.expected_input_type === "yes_no") {
+      fields[step.field_name] = value === undefined ? null : value;
+    } else {
+      fields[step.field_name] = value || "";
+    }
+    if (step.normalize) {
+      const { raw = "", ...meta } = state.normalized[step.field_name] || {};
+      fields[`${step.field_name}_raw`] = raw;
+      Object.entries(meta).forEach(([key, metaValue]) => {
+        fields[`${step.field_name}_${key}`] = metaValue;
+      });
+    }
+  });
+  return fields;
+}
+
+function buildTicketSummary(state) {
+  const summaryLines = state.flow.steps
+    .filter((step) => step.field_name)
+    .map((step) => {
+      const value = state.data[step.field_name];
+      return `${step.summary_label || step.field_name}: ${
+        value === undefined || value === null ? "" : value
+      }`;
+    });
+  summaryLines.push(`Caller: ${state.data.from_number || ""}`);
+  return summaryLines.join("\n");
+}
+
+// Posts the ticket once per call; later changes go out as maintenance_event_update.
+function ingestTicket(callControlId, state, fields, status = "completed") {
+  if (state.ingested) return;
+  state.ingested = true;
+  postMaintenanceEvent(callControlId, {
+    call_control_id: callControlId,
+    flow: state.flow.flow,
+    to_number: state.data.to_number || "",
+    from_number: state.data.from_number || "",
+    language: state.language,
+    resident_id: state.resident?.resident_id || null,
+    recording_mode: state.recordingMode,
+    business_hours: state.businessHours,
+    status,
+    input_methods: state.inputMethods,
+    ...fields,
+    transcript: buildTicketSummary(state),
+    conversation: state.conversation,
+    created_at: new Date().toISOString(),
+  });
+}
+
+// A caller who hangs up, or whose media stream drops, before the ticket went out still
+// gets one: whatever was captured so far, the step they reached and a callback flag.
+function ingestAbandonedTicket(callControlId, reason) {
+  const state = flowState.get(callControlId);
+  if (!state || state.ingested) return;
+  const step = getFlowStep(state);
+  // Callers who only asked questions have nothing to follow up on.
+  if (step?.type === "intent") {
     console.log(
-      `[apt flow] captured pets_present=${parsed} call_control_id=${callControlId}`
+      `[apt flow] abandoned step=${step.step_id} reason=${reason} ingest=skipped_intent call_control_id=${callControlId}`
     );
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: "Got it. I'll submit this maintenance ticket now.",
-      voice: "female",
-      language: "en-US",
-    });
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: "Thank you for calling. Goodbye.",
-      voice: "female",
-      language: "en-US",
+    return;
+  }
+
+  if (isBufferedCaptureActive(state)) {
+    clearCaptureTimers(state);
+    state.captureListeningActive = false;
+    const heard = normalizeIssueText(state.captureBuffer);
+    if (heard) state.data[step.field_name] = heard;
+  }
+  const spoke = state.conversation.some((turn) => turn.speaker === "caller");
+  if (!spoke) {
+    console.log(
+      `[apt flow] abandoned step=${step?.step_id || "none"} reason=${reason} ingest=skipped_no_speech call_control_id=${callControlId}`
+    );
+    return;
+  }
+  // Severity and category still apply to a description the flow never got to classify.
+  state.flow.steps.forEach((candidate) => {
+    if (candidate.type !== "compute" || state.data[candidate.field_name] !== undefined) return;
+    if (state.data[candidate.source_field]) runComputeStep(callControlId, state, candidate);
+  });
+
+  console.log(
+    `[apt flow] abandoned step=${step?.step_id || "none"} reason=${reason} is_emergency=${Boolean(
+      state.data.is_emergency
+    )} call_control_id=${callControlId}`
+  );
+  const fields = {
+    ...buildTicketFields(state),
+    step_reached: step?.step_id || null,
+    abandoned_reason: reason,
+    needs_callback: true,
+  };
+  ingestTicket(callControlId, state, fields, "abandoned");
+}
+
+function completeFlow(callControlId, state) {
+  const fields = buildTicketFields(state);
+  console.log(
+    `[apt flow] completed fields=${JSON.stringify(fields)} call_control_id=${callControlId}`
+  );
+
+  ingestTicket(callControlId, state, fields);
+
+  const session = sttSessions.get(callControlId);
+  if (session) {
+    session.flowComplete = true;
+  }
+}
+
+async function handleFaqResponse(callControlId, transcript) {
+  const session = sttSessions.get(callControlId);
+  const context = session?.context || contextCache.get(callControlId) || {};
+  const faqs = Array.isArray(context?.faqs) ? context.faqs : [];
+  const contextCached = Boolean(session?.context || contextCache.get(callControlId));
+
+  console.log(
+    `[v5 FAQ] call_control_id=${callControlId} context_cached=${contextCached} faqs=${faqs.length}`
+  );
+
+  await speakFaqAnswer(callControlId, findFaqMatch(transcript, faqs), transcript);
+}
+
+// Speaks a short answer, or offers a callback for a miss or an answer too long to read out.
+// Returns true when the answer was spoken.
+async function speakFaqAnswer(callControlId, match, transcript) {
+  if (!match || !match.faq?.answer) {
+    console.log(
+      `[v5 FAQ] call_control_id=${callControlId} match=none answer_len=0 action=callback`
+    );
+    await offerCallback(callControlId, "faq_miss", transcript);
+    return false;
+  }
+
+  const answer = match.faq.answer || "";
+  const short = isShortAnswer(answer);
+  const action = short ? "speak_answer" : "callback";
+
+  console.log(
+    `[v5 FAQ] call_control_id=${callControlId} match=${match.index} answer_len=${answer.length} action=${action}`
+  );
+
+  if (short) {
+    await speak(callControlId, answer);
+  } else {
+    await offerCallback(callControlId, "faq_long_answer", transcript);
+  }
+  return short;
+}
+
+// The callback sub-flow: yes/no to the offer, then the caller ID is confirmed or another
+// number taken, then a preferred time window. While it runs it gets every transcript.
+async function offerCallback(callControlId, reason, question) {
+  callbackRequests.set(callControlId, {
+    stage: "offer",
+    reason,
+    question: question || "",
+    number: null,
+    numberSource: null,
+    numberAttempts: 0,
+  });
+  console.log(`[v5 Callback] offered reason=${reason} call_control_id=${callControlId}`);
+  await speak(callControlId, phrase(callControlId, "callback_offer"));
+}
+
+function callerNumber(callControlId) {
+  return (
+    flowState.get(callControlId)?.data.from_number ||
+    activeCalls.get(callControlId)?.fromNumber ||
+    ""
+  );
+}
+
+// "+15555550100" -> "5 5 5, 5 5 5, 0 1 0 0", so TTS reads it digit by digit.
+function spellPhoneNumber(number) {
+  const digits = String(number || "")
+    .replace(/\D/g, "")
+    .slice(-10);
+  return [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)]
+    .filter(Boolean)
+    .map((group) => group.split("").join(" "))
+    .join(", ");
+}
+
+// Spoken digits read the same way unit numbers do; only full US numbers are accepted.
+function parseCallbackNumber(text) {
+  const parsed = parseSpokenUnit(text);
+  const digits = parsed && !parsed.building ? parsed.unit : "";
+  if (/^\d{10}$/.test(digits)) return `+1${digits}`;
+  if (/^1\d{10}$/.test(digits)) return `+${digits}`;
+  return null;
+}
+
+function matchCallbackWindow(language, text) {
+  const norm = normalizeText(text);
+  const windows = LANGUAGES[language].callback_windows;
+  return Object.keys(windows).find((window) => includesPhrase(norm, windows[window])) || null;
+}
+
+function callbackPrompt(callControlId, request) {
+  if (request.stage === "confirm_number") {
+    return fillTemplate(phrase(callControlId, "callback_confirm_number"), {
+      number: spellPhoneNumber(callerNumber(callControlId)),
     });
-    const summaryLines = [
-      `Unit: ${state.data.unit_number || ""}`,
-      `Issue: ${state.data.issue_description || ""}`,
-      `Emergency: ${state.data.is_emergency === undefined ? "" : state.data.is_emergency}`,
-      `Permission to enter: ${
-        state.data.permission_to_enter === undefined ? "" : state.data.permission_to_enter
-      }`,
-      `Pets present: ${
-        state.data.pets_present === undefined ? "" : state.data.pets_present
-      }`,
-      `Caller: ${state.data.from_number || ""}`,
-    ];
-    const ticketSummary = summaryLines.join("\n");
-
-    const fieldsLog = {
-      unit_number: state.data.unit_number,
-      issue_description: state.data.issue_description,
-      is_emergency: state.data.is_emergency,
-      permission_to_enter: state.data.permission_to_enter,
-      pets_present: state.data.pets_present,
-    };
+  }
+  if (request.stage === "collect_number") return phrase(callControlId, "callback_ask_number");
+  if (request.stage === "time_window") return phrase(callControlId, "callback_ask_window");
+  return phrase(callControlId, "callback_offer");
+}
+
+async function askCallbackStage(callControlId, request, stage) {
+  request.stage = stage;
+  await speak(callControlId, callbackPrompt(callControlId, request));
+}
+
+function useCallbackNumber(request, number, source) {
+  request.number = number;
+  request.numberSource = source;
+}
+
+async function handleCallbackAnswer(callControlId, transcript) {
+  const request = callbackRequests.get(callControlId);
+  if (!request) return;
+  const language = callLanguage(callControlId);
+  console.log(`[v5 Callback] stage=${request.stage} call_control_id=${callControlId}`);
+
+  if (request.stage === "offer") {
+    const answer = parseYesNo(transcript, language);
+    if (answer === true) {
+      const known = callerNumber(callControlId);
+      await askCallbackStage(callControlId, request, known ? "confirm_number" : "collect_number");
+      return;
+    }
+    callbackRequests.delete(callControlId);
     console.log(
-      `[apt flow] completed fields=${JSON.stringify(
-        fieldsLog
-      )} call_control_id=${callControlId}`
+      `[v5 Callback] declined answer=${answer === false ? "no" : "unmatched"} call_control_id=${callControlId}`
     );
-    if (!state.ingested) {
-      state.ingested = true;
-      const payload = {
-        call_control_id: callControlId,
-        to_number: state.data.to_number || "",
-        from_number: state.data.from_number || "",
-        unit_number: state.data.unit_number || "",
-        issue_description: state.data.issue_description || "",
-        is_emergency: Boolean(state.data.is_emergency),
-        permission_to_enter:
-          state.data.permission_to_enter === undefined ? null : state.data.permission_to_enter,
-        pets_present:
-          state.data.pets_present === undefined ? null : state.data.pets_present,
-        transcript: ticketSummary,
-        created_at: new Date().toISOString(),
-      };
-      postMaintenanceEvent(callControlId, payload);
+    if (answer === false) {
+      await finishCallback(callControlId, phrase(callControlId, "callback_declined"));
+      return;
+    }
+    // Anything else ("what about parking?") was never an answer to the offer.
+    if (flowState.has(callControlId)) {
+      await handleFlowTranscript(callControlId, transcript);
+    } else {
+      await handleFaqResponse(callControlId, transcript);
+    }
+    return;
+  }
+
+  if (request.stage === "confirm_number") {
+    const answer = parseYesNo(transcript, language);
+    const spoken = parseCallbackNumber(transcript);
+    if (answer === true && !spoken) {
+      useCallbackNumber(request, callerNumber(callControlId), "caller_id");
+      await askCallbackStage(callControlId, request, "time_window");
+    } else if (spoken) {
+      useCallbackNumber(request, spoken, "spoken");
+      await askCallbackStage(callControlId, request, "time_window");
+    } else {
+      const stage = answer === false ? "collect_number" : request.stage;
+      await askCallbackStage(callControlId, request, stage);
+    }
+    return;
+  }
+
+  if (request.stage === "collect_number") {
+    const spoken = parseCallbackNumber(transcript);
+    if (spoken) {
+      useCallbackNumber(request, spoken, "spoken");
+      await askCallbackStage(callControlId, request, "time_window");
+      return;
     }
-
-    state.step = "complete";
-    const session = sttSessions.get(callControlId);
-    if (session) {
-      session.flowComplete = true;
+    if (request.numberAttempts < CALLBACK_NUMBER_RETRIES) {
+      request.numberAttempts += 1;
+      await speak(callControlId, phrase(callControlId, "callback_number_retry"));
+      return;
+    }
+    const known = callerNumber(callControlId);
+    if (!known) {
+      callbackRequests.delete(callControlId);
+      console.log(`[v5 Callback] abandoned reason=no_number call_control_id=${callControlId}`);
+      await finishCallback(callControlId, phrase(callControlId, "callback_no_number"));
+      return;
     }
+    useCallbackNumber(request, known, "caller_id");
+    await askCallbackStage(callControlId, request, "time_window");
     return;
   }
-}
 
-async function handleFaqResponse(callControlId, transcript) {
-  const session = sttSessions.get(callControlId);
-  const context = session?.context || contextCache.get(callControlId) || {};
-  const faqs = Array.isArray(context?.faqs) ? context.faqs : [];
-  const contextCached = Boolean(session?.context || contextCache.get(callControlId));
+  const raw = normalizeIssueText(transcript);
+  submitCallbackRequest(callControlId, request, matchCallbackWindow(language, raw), raw);
+  await finishCallback(
+    callControlId,
+    fillTemplate(phrase(callControlId, "callback_confirmed"), {
+      number: spellPhoneNumber(request.number),
+    })
+  );
+}
 
+function submitCallbackRequest(callControlId, request, window, windowRaw) {
+  callbackRequests.delete(callControlId);
+  const state = flowState.get(callControlId);
   console.log(
-    `[v5 FAQ] call_control_id=${callControlId} context_cached=${contextCached} faqs=${faqs.length}`
+    `[v5 Callback] requested number_source=${request.numberSource} window=${
+      window || "none"
+    } call_control_id=${callControlId}`
   );
+  postCallbackRequest(callControlId, {
+    call_control_id: callControlId,
+    to_number: state?.data.to_number || activeCalls.get(callControlId)?.toNumber || "",
+    from_number: callerNumber(callControlId),
+    callback_number: request.number,
+    number_source: request.numberSource,
+    preferred_window: window,
+    preferred_window_raw: windowRaw,
+    reason: request.reason,
+    question: request.question,
+    language: callLanguage(callControlId),
+    resident_id: state?.resident?.resident_id || null,
+    requested_at: new Date().toISOString(),
+  });
+}
 
-  const match = findFaqMatch(transcript, faqs);
+// Says how the callback ended, then picks the flow back up where the offer interrupted it.
+async function finishCallback(callControlId, lead) {
+  const state = flowState.get(callControlId);
+  const step = getFlowStep(state);
+  const next = state?.awaitingInput && step ? repeatPrompt(callControlId, state, step) : "";
+  await speak(callControlId, next ? `${lead} ${next}` : lead);
+}
 
-  if (!match || !match.faq?.answer) {
-    console.log(
-      `[v5 FAQ] call_control_id=${callControlId} match=none answer_len=0 action=callback`
-    );
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: CALLBACK_OFFER,
-      voice: "female",
-      language: "en-US",
-    });
-    return;
-  }
+// A side question mid-intake ("when is rent due?") is answered and the step asked again,
+// leaving whatever the step has captured untouched. Returns true when it was answered.
+async function handleFaqInterruption(callControlId, state, step, transcript) {
+  if (step.type === "intent" || step.type === "language_select") return false;
+  // Once the caller is describing the issue, later chunks belong to the description.
+  if (isBufferedCaptureActive(state) && state.captureBuffer) return false;
+  const match = findFaqMatch(transcript, contextFaqs(callControlId));
+  if (!match || match.score < FAQ_INTERRUPT_MIN_SCORE) return false;
 
   const answer = match.faq.answer || "";
   const short = isShortAnswer(answer);
-  const action = short ? "speak_answer" : "callback";
-
   console.log(
-    `[v5 FAQ] call_control_id=${callControlId} match=${match.index} answer_len=${answer.length} action=${action}`
+    `[v5 FAQ] interruption step=${step.step_id} match=${match.index} score=${match.score} action=${
+      short ? "speak_answer" : "defer"
+    } call_control_id=${callControlId}`
   );
-
-  if (short) {
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: answer,
-      voice: "female",
-      language: "en-US",
-    });
-  } else {
-    await sendTelnyxAction(callControlId, "speak", {
-      payload: CALLBACK_OFFER,
-      voice: "female",
-      language: "en-US",
-    });
-  }
+  const reply = short ? answer : phrase(callControlId, "faq_long_answer");
+  await speak(callControlId, `${reply} ${repeatPrompt(callControlId, state, step)}`, {
+    interruptible: step.interruptible !== false,
+  });
+  return true;
 }
 
-async function handleIssueChunk(callControlId, { text, conf, alternatives }) {
+async function handleBufferedChunk(callControlId, { text, conf, alternatives, turn }) {
   const state = flowState.get(callControlId);
-  if (!state || state.step !== "issue_description") return;
+  if (!isBufferedCaptureActive(state)) return;
+  if (await handleIntentSwitch(callControlId, state, text)) return;
+  if (await handleFaqInterruption(callControlId, state, getFlowStep(state), text)) return;
 
   const chunk = normalizeIssueText(text);
   if (!chunk) return;
@@ -845,13 +2857,25 @@ async function handleIssueChunk(callControlId, { text, conf, alternatives }) {
     Number.isFinite(conf) &&
     conf < STT_MIN_CONF
   ) {
-    state.issueLowConfChunks = state.issueLowConfChunks || [];
-    state.issueLowConfChunks.push(chunk);
-    if (state.issueLowConfChunks.length > 3) {
-      state.issueLowConfChunks.shift();
+    state.captureLowConfChunks = state.captureLowConfChunks || [];
+    state.captureLowConfChunks.push(chunk);
+    if (state.captureLowConfChunks.length > 3) {
+      state.captureLowConfChunks.shift();
     }
-    if (!state.issueBestChunk || conf > (state.issueBestChunk.conf || 0)) {
-      state.issueBestChunk = { text: chunk, conf };
+    if (!state.captureBestChunk || conf > (state.captureBestChunk.conf || 0)) {
+      state.captureBestChunk = { text: chunk, conf };
+    }
+    markTurnDropped(turn, "low_confidence");
+    // Speech was heard, so the silence reprompts are done; bound the wait from here.
+    if (!state.captureForceFinalizeAt) {
+      state.captureForceFinalizeAt = now + CAPTURE_MAX_LISTEN_MS;
+      state.captureMaxTimer = setTimeout(
+        () =>
+          finalizeBufferedCapture(callControlId, "max_listen").catch(
+            logFailure("Buffered capture finalize failed", callControlId)
+          ),
+        CAPTURE_MAX_LISTEN_MS
+      );
     }
     console.log(
       `[v5 STT] low_conf_chunk call_control_id=${callControlId} conf=${conf.toFixed(
@@ -862,38 +2886,49 @@ async function handleIssueChunk(callControlId, { text, conf, alternatives }) {
   }
 
   if (
-    state.lastIssueChunk &&
-    chunk === state.lastIssueChunk &&
-    now - state.lastIssueChunkAt < ISSUE_APPEND_DEDUP_WINDOW_MS
+    state.lastCaptureChunk &&
+    chunk === state.lastCaptureChunk &&
+    now - state.lastCaptureChunkAt < CAPTURE_APPEND_DEDUP_WINDOW_MS
   ) {
     return;
   }
 
-  state.lastIssueChunk = chunk;
-  state.lastIssueChunkAt = now;
+  state.lastCaptureChunk = chunk;
+  state.lastCaptureChunkAt = now;
 
-  if (!state.issueBuffer) {
-    state.issueBuffer = chunk;
+  if (!state.captureBuffer) {
+    state.captureBuffer = chunk;
+    state.captureForceFinalizeAt = now + CAPTURE_MAX_LISTEN_MS;
   } else {
-    state.issueBuffer = `${state.issueBuffer} ${chunk}`.trim();
+    state.captureBuffer = `${state.captureBuffer} ${chunk}`.trim();
   }
 
   console.log(
-    `[apt flow] issue_chunk call_control_id=${callControlId} text="${chunk}" buffer_chars=${state.issueBuffer.length}`
+    `[apt flow] capture_chunk step=${state.step} call_control_id=${callControlId} text="${chunk}" buffer_chars=${state.captureBuffer.length}`
   );
 
-  state.issueLastHeardAt = now;
-  clearIssueTimers(state);
-  state.issueFinalizeTimer = setTimeout(
-    () => finalizeIssue(callControlId, "silence"),
-    ISSUE_SILENCE_FINALIZE_MS
+  state.captureLastHeardAt = now;
+  scheduleCaptureFinalize(callControlId, state);
+}
+
+function scheduleCaptureFinalize(callControlId, state) {
+  clearCaptureTimers(state);
+  state.captureFinalizeTimer = setTimeout(
+    () =>
+      finalizeBufferedCapture(callControlId, "silence").catch(
+        logFailure("Buffered capture finalize failed", callControlId)
+      ),
+    CAPTURE_SILENCE_FINALIZE_MS
   );
-  state.issueMaxTimer = setTimeout(
-    () => finalizeIssue(callControlId, "max_listen"),
-    ISSUE_MAX_LISTEN_MS
+  state.captureMaxTimer = setTimeout(
+    () =>
+      finalizeBufferedCapture(callControlId, "max_listen").catch(
+        logFailure("Buffered capture finalize failed", callControlId)
+      ),
+    CAPTURE_MAX_LISTEN_MS
   );
   console.log(
-    `[apt flow] issue_finalize_scheduled call_control_id=${callControlId} in_ms=${ISSUE_SILENCE_FINALIZE_MS}`
+    `[apt flow] capture_finalize_scheduled step=${state.step} call_control_id=${callControlId} in_ms=${CAPTURE_SILENCE_FINALIZE_MS}`
   );
 }
 
@@ -913,18 +2948,21 @@ async function handleTelnyxEvent(eventType, payload, reqHost) {
     return;
   }
 
+  // Events for the on-call leg of an emergency transfer carry the caller's id in client_state.
+  const transferFor = decodeClientState(payload?.client_state)?.transfer_for;
+  if (transferFor) {
+    handleTransferLegEvent(transferFor, eventType);
+    return;
+  }
+
   switch (eventType) {
     case "call.initiated":
       await sendTelnyxAction(callControlId, "answer");
       break;
     case "call.answered":
-      const { greeting } = await fetchGreeting(toNumber, callControlId);
-      await sendTelnyxAction(callControlId, "speak", {
-        payload: greeting,
-        voice: "female",
-        language: "en-US",
-      });
-      scheduleSilenceTimer(callControlId);
+      activeCalls.set(callControlId, { answeredAt: Date.now(), toNumber, fromNumber });
+      const { greeting, source } = await fetchGreeting(toNumber, callControlId);
+      const hours = checkCallHours(callControlId);
       startTelnyxStreaming(callControlId, reqHost).catch((error) => {
         console.error(
           JSON.stringify({
@@ -935,7 +2973,15 @@ async function handleTelnyxEvent(eventType, payload, reqHost) {
           })
         );
       });
-      initializeFlow(callControlId, toNumber, fromNumber).catch((error) => {
+      // A dashboard greeting replaces the flow's own greeting prompt; after hours only the
+      // context's after_hours_greeting does.
+      const dashboardGreeting = hours.after_hours
+        ? contextCache.get(callControlId)?.after_hours_greeting
+        : source === "dashboard" && greeting;
+      initializeFlow(callControlId, toNumber, fromNumber, {
+        hours,
+        promptOverrides: dashboardGreeting ? { greeting: dashboardGreeting } : {},
+      }).catch((error) => {
         console.error(
           JSON.stringify({
             level: "error",
@@ -946,7 +2992,24 @@ async function handleTelnyxEvent(eventType, payload, reqHost) {
         );
       });
       break;
+    case "call.speak.started":
+    case "call.speak.ended":
+      handleSpeakEvent(callControlId, eventType, payload);
+      break;
+    case "call.bridged":
+      await resolveTransfer(callControlId, true, "bridged");
+      break;
+    case "call.dtmf.received":
+      await handleDtmf(callControlId, payload?.digit);
+      break;
+    case "call.recording.saved":
+      handleRecordingSaved(callControlId, payload);
+      break;
     case "call.hangup":
+      activeCalls.delete(callControlId);
+      await resolveTransfer(callControlId, false, "caller_hangup");
+      ingestAbandonedTicket(callControlId, "caller_hangup");
+      clearSpeechQueue(callControlId);
       cancelSilenceTimer(callControlId, "hangup");
       cleanupStt(callControlId);
       break;
@@ -956,11 +3019,82 @@ async function handleTelnyxEvent(eventType, payload, reqHost) {
   }
 }
 
+function handleTransferLegEvent(callControlId, eventType) {
+  console.log(
+    `[v5 Transfer] leg_event event_type=${eventType} call_control_id=${callControlId}`
+  );
+  const failed = logFailure("Transfer outcome handling failed", callControlId);
+  if (eventType === "call.bridged") {
+    resolveTransfer(callControlId, true, "bridged").catch(failed);
+  } else if (eventType === "call.hangup") {
+    resolveTransfer(callControlId, false, "target_hangup").catch(failed);
+  }
+}
+
 app.get("/health", (_req, res) => {
   res.status(200).send("ok");
 });
 
-app.post("/telnyx/call", (req, res) => {
+app.get("/outbox", (req, res) => {
+  if (!ADMIN_API_KEY || req.headers["x-api-key"] !== ADMIN_API_KEY) {
+    res.status(401).json({ error: "unauthorized" });
+    return;
+  }
+  res.status(200).json(outbox.stats());
+});
+
+function verifyTelnyxWebhook(req, res, next) {
+  if (!telnyxPublicKey) {
+    if (ALLOW_UNSIGNED_WEBHOOKS) {
+      next();
+      return;
+    }
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Rejected Telnyx webhook",
+        reason: "no_public_key",
+        event_type: req.body?.data?.event_type || "unknown",
+      })
+    );
+    res.status(401).json({ error: "invalid signature" });
+    return;
+  }
+
+  const signature = req.headers["telnyx-signature-ed25519"];
+  const { valid, reason } = verifyTelnyxSignature({
+    rawBody: req.rawBody,
+    signature,
+    timestamp: req.headers["telnyx-timestamp"],
+    publicKey: telnyxPublicKey,
+    toleranceSeconds: TELNYX_WEBHOOK_TOLERANCE_S,
+  });
+
+  const now = Date.now();
+  seenWebhookSignatures.forEach((expiresAt, sig) => {
+    if (expiresAt <= now) seenWebhookSignatures.delete(sig);
+  });
+  const replayed = valid && seenWebhookSignatures.has(signature);
+
+  if (!valid || replayed) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Rejected Telnyx webhook",
+        reason: replayed ? "replayed" : reason,
+        event_type: req.body?.data?.event_type || "unknown",
+      })
+    );
+    res.status(401).json({ error: "invalid signature" });
+    return;
+  }
+
+  // Remember accepted signatures for the whole window so exact replays are refused.
+  seenWebhookSignatures.set(signature, now + TELNYX_WEBHOOK_TOLERANCE_S * 2000);
+  next();
+}
+
+app.post("/telnyx/call", verifyTelnyxWebhook, (req, res) => {
   const eventType = req.body?.data?.event_type || "unknown";
   const payload = req.body?.data?.payload || {};
   const reqHost = req.headers["host"];
@@ -980,6 +3114,127 @@ app.post("/telnyx/call", (req, res) => {
   });
 });
 
+// An interim pauses the silence countdown while the caller talks. If no final follows (a
+// cough, background noise), the countdown restarts on utterance_end or after a grace period.
+function handleSttInterim(callControlId, session, { text }) {
+  if (!normalizeText(text)) return;
+  cancelSilenceTimer(callControlId, "stt_interim");
+  clearTimeout(session.interimTimer);
+  session.interimTimer = setTimeout(
+    () => rearmAfterInterim(callControlId, session, "no_final"),
+    STT_FINAL_GRACE_MS
+  );
+  if (!canBargeIn(callControlId)) return;
+  bargeIn(callControlId, "interim");
+}
+
+function rearmAfterInterim(callControlId, session, reason) {
+  if (!session.interimTimer) return;
+  clearTimeout(session.interimTimer);
+  session.interimTimer = null;
+  if (session.flowComplete || sttSessions.get(callControlId) !== session) return;
+  console.log(`[v5 Silence] rearm call_control_id=${callControlId} reason=${reason}`);
+  armStepSilenceTimer(callControlId);
+}
+
+function handleSttTranscript(callControlId, session, { text, confidence, alternatives, turn }) {
+  clearTimeout(session.interimTimer);
+  session.interimTimer = null;
+  if (session.flowComplete) return;
+
+  cancelSilenceTimer(callControlId, "stt_final");
+  const state = flowState.get(callControlId);
+  if (state) state.silenceCount = 0;
+
+  // With barge-in, speech over an interruptible prompt answers the step that prompt asked.
+  const bargedIn = canBargeIn(callControlId) && Boolean(state?.awaitingInput);
+  if (bargedIn) {
+    bargeIn(callControlId, "transcript");
+  }
+
+  if (!bargedIn && isBotSpeaking(callControlId)) {
+    const buffered = SPEECH_OVERLAP_POLICY === "buffer";
+    if (buffered) {
+      getSpeechQueue(callControlId).bufferedTranscripts.push({
+        text,
+        confidence,
+        alternatives,
+        turn,
+      });
+    } else {
+      markTurnDropped(turn, "bot_speaking");
+    }
+    console.log(
+      `[v5 Speech] transcript_while_speaking call_control_id=${callControlId} action=${
+        buffered ? "buffered" : "ignored"
+      } text="${text}"`
+    );
+    return;
+  }
+
+  session.sttFinalCount += 1;
+  const confLog = confidence !== null ? confidence.toFixed(2) : "n/a";
+
+  console.log(
+    `[v5 STT] call_control_id=${callControlId} n=${session.sttFinalCount} conf=${confLog} text="${text}"`
+  );
+
+  const hasFlow = Boolean(state);
+  if (callbackRequests.has(callControlId)) {
+    handleCallbackAnswer(callControlId, text).catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Callback handling failed",
+          call_control_id: callControlId,
+          error: error?.message || String(error),
+        })
+      );
+    });
+  } else if (hasFlow && isBufferedCaptureActive(state)) {
+    handleBufferedChunk(callControlId, {
+      text,
+      conf: confidence,
+      alternatives,
+      turn,
+    }).catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Buffered chunk handling failed",
+          call_control_id: callControlId,
+          error: error?.message || String(error),
+        })
+      );
+    });
+  } else if (hasFlow) {
+    handleFlowTranscript(callControlId, text).catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "Flow handling failed",
+          call_control_id: callControlId,
+          error: error?.message || String(error),
+        })
+      );
+    });
+  } else {
+    handleFaqResponse(callControlId, text).catch((error) => {
+      console.error(
+        JSON.stringify({
+          level: "error",
+          message: "FAQ handling failed",
+          call_control_id: callControlId,
+          error: error?.message || String(error),
+        })
+      );
+    });
+  }
+}
+
+outbox.load();
+pruneExpiredRecordings();
+
 const HOST = "0.0.0.0";
 const server = app.listen(PORT, HOST, () => {
   console.log(`[v5] listening on http://${HOST}:${PORT}`);
@@ -987,6 +3242,65 @@ const server = app.listen(PORT, HOST, () => {
 
 const wss = new WebSocketServer({ server, path: "/media" });
 
+function openSttProvider(session, language) {
+  const { callControlId } = session;
+  const stt = createSttProvider(STT_PROVIDER, {
+    ...STT_OPTIONS,
+    callControlId,
+    language: LANGUAGES[language].stt,
+  });
+  session.stt = stt;
+
+  // A provider replaced by a language switch may still flush a late result; drop it.
+  stt.on("transcript", (event) => {
+    if (session.stt !== stt) return;
+    const turn = recordTurn(callControlId, "caller", event.text, {
+      confidence: event.confidence ?? null,
+      input_method: "speech",
+    });
+    handleSttTranscript(callControlId, session, { ...event, turn });
+  });
+
+  stt.on("interim", (event) => {
+    if (session.stt !== stt) return;
+    handleSttInterim(callControlId, session, event);
+  });
+
+  stt.on("utterance_end", () => {
+    if (session.stt !== stt) return;
+    rearmAfterInterim(callControlId, session, "utterance_end");
+  });
+
+  stt.on("error", (error) => {
+    console.error(
+      JSON.stringify({
+        level: "error",
+        message: "STT provider error",
+        call_control_id: callControlId,
+        provider: stt.name,
+        error: error?.message || String(error),
+      })
+    );
+  });
+
+  stt.on("close", () => {
+    console.log(`[v5 STT] provider_closed call_control_id=${callControlId} provider=${stt.name}`);
+  });
+
+  console.log(
+    `[v5 STT] provider_opened call_control_id=${callControlId} provider=${stt.name} language=${LANGUAGES[language].stt}`
+  );
+  stt.open();
+}
+
+function switchSttLanguage(callControlId, language) {
+  const session = sttSessions.get(callControlId);
+  if (!session?.stt) return;
+  const previous = session.stt;
+  openSttProvider(session, language);
+  previous.close();
+}
+
 wss.on("connection", (ws, req) => {
   const url = new URL(req.url, "http://localhost");
   const callControlId = url.searchParams.get("call_control_id");
@@ -996,12 +3310,33 @@ wss.on("connection", (ws, req) => {
     return;
   }
 
-  if (!DEEPGRAM_API_KEY) {
+  const { valid, reason } = verifyStreamToken(
+    url.searchParams.get("token"),
+    callControlId,
+    MEDIA_STREAM_SECRET
+  );
+  const rejectReason = !valid ? reason : !activeCalls.has(callControlId) ? "unknown_call" : null;
+  if (rejectReason) {
+    console.warn(
+      JSON.stringify({
+        level: "warn",
+        message: "Rejected media stream",
+        call_control_id: callControlId,
+        reason: rejectReason,
+      })
+    );
+    ws.close(1008, "unauthorized");
+    return;
+  }
+
+  const missing = sttMissingConfig(STT_PROVIDER, STT_OPTIONS);
+  if (missing) {
     console.error(
       JSON.stringify({
         level: "error",
-        message: "Missing DEEPGRAM_API_KEY; closing media socket",
+        message: `Missing ${missing}; closing media socket`,
         call_control_id: callControlId,
+        provider: STT_PROVIDER,
       })
     );
     ws.close();
@@ -1011,108 +3346,18 @@ wss.on("connection", (ws, req) => {
   const session = {
     callControlId,
     telnyxWs: ws,
-    deepgramWs: null,
+    stt: null,
     finalized: false,
     flowComplete: false,
     sttFinalCount: 0,
+    interimTimer: null,
     context: contextCache.get(callControlId) || null,
   };
   sttSessions.set(callControlId, session);
-
-  const dgWs = new WebSocket(DEEPGRAM_WS_URL, {
-    headers: { Authorization: `Token ${DEEPGRAM_API_KEY}` },
-  });
-
-  session.deepgramWs = dgWs;
-
-  dgWs.on("message", (data) => {
-    if (session.flowComplete) return;
-    session.sttFinalCount += 1;
-    let message = null;
-    try {
-      message = JSON.parse(data.toString());
-    } catch (_e) {
-      return;
-    }
-
-    const alternatives = message?.channel?.alternatives || [];
-    const alt = alternatives[0];
-    const isFinal = Boolean(message?.is_final);
-
-    if (!isFinal || !alt?.transcript) return;
-
-    cancelSilenceTimer(callControlId, "stt_final");
-    const conf =
-      typeof alt.confidence === "number"
-        ? alt.confidence.toFixed(2)
-        : "n/a";
-    const confNum =
-      typeof alt.confidence === "number"
-        ? alt.confidence
-        : Number.isFinite(Number(alt.confidence))
-          ? Number(alt.confidence)
-          : null;
-    const confLog = confNum !== null ? confNum.toFixed(2) : "n/a";
-
-    console.log(
-      `[v5 STT] call_control_id=${callControlId} n=${session.sttFinalCount} conf=${confLog} text="${alt.transcript}"`
-    );
-
-    const state = flowState.get(callControlId);
-    const hasFlow = Boolean(state);
-    if (hasFlow && state?.step === "issue_description") {
-      handleIssueChunk(callControlId, {
-        text: alt.transcript,
-        conf: confNum,
-        alternatives,
-      }).catch((error) => {
-        console.error(
-          JSON.stringify({
-            level: "error",
-            message: "Issue chunk handling failed",
-            call_control_id: callControlId,
-            error: error?.message || String(error),
-          })
-        );
-      });
-    } else if (hasFlow) {
-      handleFlowTranscript(callControlId, alt.transcript).catch((error) => {
-        console.error(
-          JSON.stringify({
-            level: "error",
-            message: "Flow handling failed",
-            call_control_id: callControlId,
-            error: error?.message || String(error),
-          })
-        );
-      });
-    } else {
-      handleFaqResponse(callControlId, alt.transcript).catch((error) => {
-        console.error(
-          JSON.stringify({
-            level: "error",
-            message: "FAQ handling failed",
-            call_control_id: callControlId,
-            error: error?.message || String(error),
-          })
-        );
-      });
-    }
-  });
-
-  dgWs.on("close", () => {
-    session.deepgramWs = null;
-  });
-
-  dgWs.on("error", () => {
-    session.deepgramWs = null;
-  });
+  openSttProvider(session, callLanguage(callControlId));
 
   ws.on("message", (data) => {
     if (session.finalized) return;
-    if (!session.deepgramWs || session.deepgramWs.readyState !== WebSocket.OPEN) {
-      return;
-    }
 
     let message = null;
     try {
@@ -1136,21 +3381,24 @@ wss.on("connection", (ws, req) => {
 
     try {
       const audio = Buffer.from(mediaPayload, "base64");
-      session.deepgramWs.send(audio);
+      localRecorders.get(callControlId)?.write(audio);
+      session.stt.sendAudio(audio);
     } catch (_e) {
       // ignore bad media
     }
   });
 
   ws.on("close", () => {
+    ingestAbandonedTicket(callControlId, "media_closed");
     cleanupStt(callControlId);
   });
 
   ws.on("error", () => {
+    ingestAbandonedTicket(callControlId, "media_closed");
     cleanupStt(callControlId);
   });
 });
-async function postMaintenanceEvent(callControlId, payload) {
+function postMaintenanceEvent(callControlId, payload) {
   if (!FLOWSYNC_BASE_URL || !FLOWSYNC_API_KEY) {
     console.log(
       `[v5 Ingest] call_control_id=${callControlId} http_status=skipped bytes=0`
@@ -1158,8 +3406,46 @@ async function postMaintenanceEvent(callControlId, payload) {
     return;
   }
 
-  const url = `${FLOWSYNC_BASE_URL}/api/ingest/maintenance-event`;
-  const body = JSON.stringify(payload);
+  outbox.enqueue("maintenance_event", callControlId, payload);
+}
+
+function postMaintenanceEventUpdate(callControlId, tag, changes) {
+  if (!FLOWSYNC_BASE_URL || !FLOWSYNC_API_KEY) {
+    console.log(
+      `[v5 Ingest] call_control_id=${callControlId} kind=maintenance_event_update http_status=skipped bytes=0`
+    );
+    return;
+  }
+
+  outbox.enqueue("maintenance_event_update", `${callControlId}:${tag}`, {
+    call_control_id: callControlId,
+    ...changes,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+function postCallbackRequest(callControlId, payload) {
+  if (!FLOWSYNC_BASE_URL || !FLOWSYNC_API_KEY) {
+    console.log(
+      `[v5 Ingest] call_control_id=${callControlId} kind=callback_request http_status=skipped bytes=0`
+    );
+    return;
+  }
+
+  outbox.enqueue("callback_request", `${callControlId}:callback`, payload);
+}
+
+async function deliverOutboxItem(item) {
+  const endpoint = OUTBOX_ENDPOINTS[item.kind];
+  if (!endpoint) {
+    return { ok: false, retryable: false, error: `unknown_kind=${item.kind}` };
+  }
+  if (!FLOWSYNC_BASE_URL || !FLOWSYNC_API_KEY) {
+    return { ok: false, retryable: true, error: "missing_config" };
+  }
+
+  const url = `${FLOWSYNC_BASE_URL}${endpoint}`;
+  const body = JSON.stringify(item.payload);
   const size = Buffer.byteLength(body, "utf8");
 
   try {
@@ -1168,20 +3454,36 @@ async function postMaintenanceEvent(callControlId, payload) {
       headers: {
         "Content-Type": "application/json",
         "x-api-key": FLOWSYNC_API_KEY,
+        "Idempotency-Key": item.key,
       },
       body,
+      // A hung FlowSync connection would otherwise stall the whole drain loop.
+      signal: AbortSignal.timeout(OUTBOX_SEND_TIMEOUT_MS),
     });
 
     const status = response.status;
     await response.text().catch(() => "");
     console.log(
-      `[v5 Ingest] call_control_id=${callControlId} http_status=${status} bytes=${size}`
+      `[v5 Ingest] call_control_id=${item.payload.call_control_id} kind=${item.kind} attempt=${
+        item.attempts + 1
+      } http_status=${status} bytes=${size}`
     );
+    // 409 means FlowSync already holds this idempotency key.
+    return {
+      ok: response.ok || status === 409,
+      status,
+      retryable: status >= 500 || status === 408 || status === 429,
+    };
   } catch (error) {
+    const reason =
+      error?.name === "TimeoutError"
+        ? `timeout_ms=${OUTBOX_SEND_TIMEOUT_MS}`
+        : error?.message || String(error);
     console.log(
-      `[v5 Ingest] call_control_id=${callControlId} http_status=error bytes=${size} msg=${
-        error?.message || String(error)
-      }`
+      `[v5 Ingest] call_control_id=${item.payload.call_control_id} kind=${item.kind} attempt=${
+        item.attempts + 1
+      } http_status=error bytes=${size} msg=${reason}`
     );
+    return { ok: false, retryable: true, error: reason };
   }
 }
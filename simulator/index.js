@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// Offline call simulator: runs server.js against a local Telnyx/FlowSync stand-in,
+// plays a scenario file and checks the recorded actions and ingest POSTs.
+//
+//   npm run simulate                       # every file in simulator/scenarios
+//   npm run simulate -- path/to/a.json -v  # one scenario, with server logs
+//
+// Scenario format:
+//   call             { call_control_id, from, to } overrides
+//   context          voice context served from /api/voice/context (404 when absent)
+//   env              extra environment for server.js
+//   utterances       [{ at_ms, text, confidence, interim_only }] caller speech, timed from
+//                    media stream open; interim_only never produces a final transcript
+//   dtmf             [{ at_ms, digits }] keypad presses, also timed from media stream open
+//   hangup_at_ms     caller hangs up this long after call.initiated
+//   speak_ms         how long each speak plays before call.speak.ended (default 300)
+//   ingest_responses HTTP statuses FlowSync returns to successive ingest POSTs (default 201)
+//   transfer         { outcome: "bridged" | "no_answer", after_ms } reply to a transfer action
+//   expect.actions   ordered subsequence of Call Control actions; each entry matches
+//                    { action, payload_includes, body } and may pin an exact total `count`
+//   expect.ingest    ordered ingest POSTs; `body` is matched as a deep subset and
+//                    `conversation` as an ordered subsequence of the body's conversation turns
+
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { createStandin } = require("./standin");
+
+const ROOT = path.join(__dirname, "..");
+const SCENARIO_DIR = path.join(__dirname, "scenarios");
+const ADMIN_API_KEY = "sim-admin-key";
+const SETTLE_MS = 500;
+const OUTBOX_DRAIN_TIMEOUT_MS = 10000;
+const DEFAULT_HANGUP_AT_MS = 30000;
+// How long past hangup_at_ms a call may take to end before the scenario fails.
+const CALL_END_GRACE_MS = 10000;
+const STDERR_TAIL_LINES = 20;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function isSubset(expected, actual) {
+  if (expected === null || typeof expected !== "object") {
+    return expected === actual;
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, index) => isSubset(item, actual[index]))
+    );
+  }
+  if (!actual || typeof actual !== "object") return false;
+  return Object.keys(expected).every((key) => isSubset(expected[key], actual[key]));
+}
+
+function actionMatches(expected, recorded) {
+  if (expected.action && expected.action !== recorded.action) return false;
+  if (
+    expected.payload_includes &&
+    !String(recorded.body?.payload || "").includes(expected.payload_includes)
+  ) {
+    return false;
+  }
+  if (expected.body && !isSubset(expected.body, recorded.body)) return false;
+  return true;
+}
+
+function describe(expected) {
+  return JSON.stringify(expected);
+}
+
+function checkActions(expectedActions, actions, failures) {
+  let cursor = 0;
+  expectedActions.forEach((expected) => {
+    // `count: 0` asserts the action never happened, so there is nothing to find in order.
+    if (expected.count !== 0) {
+      const index = actions.findIndex(
+        (recorded, i) => i >= cursor && actionMatches(expected, recorded)
+      );
+      if (index === -1) {
+        failures.push(`missing action (in order) ${describe(expected)}`);
+      } else {
+        cursor = index + 1;
+      }
+    }
+    if (expected.count !== undefined) {
+      const count = actions.filter((recorded) => actionMatches(expected, recorded)).length;
+      if (count !== expected.count) {
+        failures.push(`expected ${expected.count} x ${describe(expected)}, saw ${count}`);
+      }
+    }
+  });
+}
+
+function checkConversation(expectedTurns, turns, label, failures) {
+  if (!Array.isArray(turns)) {
+    failures.push(`${label} has no conversation`);
+    return;
+  }
+  let cursor = 0;
+  expectedTurns.forEach((expected) => {
+    const index = turns.findIndex((turn, i) => i >= cursor && isSubset(expected, turn));
+    if (index === -1) {
+      failures.push(`${label} missing conversation turn (in order) ${describe(expected)}`);
+    } else {
+      cursor = index + 1;
+    }
+  });
+}
+
+function checkIngest(expectedIngest, ingests, failures) {
+  if (expectedIngest.length !== ingests.length) {
+    failures.push(`expected ${expectedIngest.length} ingest POST(s), saw ${ingests.length}`);
+  }
+  expectedIngest.forEach((expected, index) => {
+    const recorded = ingests[index];
+    if (!recorded) return;
+    if (expected.path && expected.path !== recorded.path) {
+      failures.push(`ingest[${index}] path ${recorded.path}, expected ${expected.path}`);
+    }
+    if (expected.idempotency_key && expected.idempotency_key !== recorded.idempotency_key) {
+      failures.push(
+        `ingest[${index}] idempotency key ${recorded.idempotency_key}, expected ${expected.idempotency_key}`
+      );
+    }
+    if (expected.body && !isSubset(expected.body, recorded.body)) {
+      failures.push(
+        `ingest[${index}] body ${JSON.stringify(recorded.body)} does not match ${describe(
+          expected.body
+        )}`
+      );
+    }
+    if (expected.conversation) {
+      const label = `ingest[${index}]`;
+      checkConversation(expected.conversation, recorded.body?.conversation, label, failures);
+    }
+  });
+}
+
+async function waitForHealth(url, child) {
+  for (let i = 0; i < 100; i += 1) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) return;
+    } catch (_e) {
+      // not listening yet
+    }
+    await sleep(50);
+  }
+  throw new Error("server did not become healthy");
+}
+
+async function waitForOutboxDrain(url) {
+  const deadline = Date.now() + OUTBOX_DRAIN_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const response = await fetch(`${url}/outbox`, { headers: { "x-api-key": ADMIN_API_KEY } });
+    const stats = await response.json();
+    if (stats.pending === 0) return stats;
+    await sleep(100);
+  }
+  throw new Error("outbox did not drain");
+}
+
+async function runScenario(file, { verbose }) {
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  const name = scenario.name || path.basename(file, ".json");
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-sim-"));
+  const serverLog = [];
+  const serverStderr = [];
+  const log = (line) => serverLog.push(`[sim] ${line}`);
+  const standin = createStandin({ scenario, log });
+  const standinPort = await standin.listen();
+  const standinUrl = `http://127.0.0.1:${standinPort}`;
+  const port = await freePort();
+  const serverUrl = `http://127.0.0.1:${port}`;
+  standin.setServerUrl(serverUrl);
+
+  const scriptPath = path.join(tmpDir, "stt-script.json");
+  fs.writeFileSync(
+    scriptPath,
+    JSON.stringify({ [standin.call.call_control_id]: scenario.utterances || [] })
+  );
+
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      TELNYX_API_BASE: `${standinUrl}/v2`,
+      TELNYX_API_KEY: "sim-telnyx-key",
+      TELNYX_PUBLIC_KEY: standin.publicKey,
+      FLOWSYNC_BASE_URL: standinUrl,
+      FLOWSYNC_API_KEY: "sim-flowsync-key",
+      ADMIN_API_KEY,
+      MEDIA_WS_URL: `ws://127.0.0.1:${port}/media`,
+      STT_PROVIDER: "scripted",
+      STT_SCRIPT_PATH: scriptPath,
+      V5_OUTBOX_PATH: path.join(tmpDir, "outbox.jsonl"),
+      V5_OUTBOX_BASE_DELAY_MS: "100",
+      V5_RECORDINGS_DIR: path.join(tmpDir, "recordings"),
+      ...scenario.env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (data) => serverLog.push(...data.toString().trimEnd().split("\n")));
+  child.stderr.on("data", (data) => {
+    const lines = data.toString().trimEnd().split("\n");
+    serverLog.push(...lines);
+    serverStderr.push(...lines);
+  });
+  const exited = new Promise((resolve) =>
+    child.once("exit", (code, signal) => resolve(signal || `code ${code}`))
+  );
+  let deadlineTimer = null;
+
+  const failures = [];
+  try {
+    await waitForHealth(serverUrl, child);
+    const hungUp = new Promise((resolve) => standin.onHangup(resolve));
+    await standin.startCall();
+    const hangupAtMs = scenario.hangup_at_ms ?? DEFAULT_HANGUP_AT_MS;
+    const hangupTimer = setTimeout(() => standin.hangup("caller_hangup"), hangupAtMs);
+    const deadlineMs = hangupAtMs + CALL_END_GRACE_MS;
+    // A server that crashes or wedges mid-call would otherwise never deliver the hangup.
+    const stuck = await Promise.race([
+      hungUp.then(() => null),
+      exited.then((how) => `server exited (${how}) before the call ended`),
+      new Promise((resolve) => {
+        deadlineTimer = setTimeout(
+          () => resolve(`call did not end within ${deadlineMs} ms`),
+          deadlineMs
+        );
+      }),
+    ]);
+    clearTimeout(hangupTimer);
+    if (stuck) {
+      const stderr = serverStderr.slice(-STDERR_TAIL_LINES);
+      throw new Error(
+        stderr.length > 0 ? `${stuck}; server stderr:\n      ${stderr.join("\n      ")}` : stuck
+      );
+    }
+    await sleep(SETTLE_MS);
+    await waitForOutboxDrain(serverUrl);
+
+    const expect = scenario.expect || {};
+    checkActions(expect.actions || [], standin.actions, failures);
+    checkIngest(expect.ingest || [], standin.ingests, failures);
+  } catch (error) {
+    failures.push(error.message);
+  } finally {
+    clearTimeout(deadlineTimer);
+    child.kill();
+    await standin.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  const passed = failures.length === 0;
+  console.log(`${passed ? "PASS" : "FAIL"} ${name}`);
+  failures.forEach((failure) => console.log(`  - ${failure}`));
+  if (verbose || !passed) {
+    serverLog.forEach((line) => console.log(`    ${line}`));
+  }
+  return passed;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes("-v") || args.includes("--verbose");
+  let files = args.filter((arg) => !arg.startsWith("-"));
+  if (files.length === 0) {
+    files = fs
+      .readdirSync(SCENARIO_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map((file) => path.join(SCENARIO_DIR, file));
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const passed = await runScenario(path.resolve(file), { verbose });
+    if (!passed) failed += 1;
+  }
+  console.log(`${files.length - failed}/${files.length} scenarios passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,239 @@
+const http = require("http");
+const crypto = require("crypto");
+const { WebSocket } = require("ws");
+
+// Local stand-in for both the Telnyx Call Control API and the FlowSync API.
+// Records every outgoing action and ingest POST, and plays back the webhooks
+// Telnyx would send in response (call.answered after answer, call.recording.saved
+// after hangup when record_start was sent, and so on).
+
+const MEDIA_FRAME_MS = 100;
+const DEFAULT_SPEAK_MS = 300;
+const DTMF_DIGIT_GAP_MS = 100;
+const DEFAULT_TRANSFER = { outcome: "bridged", after_ms: 500 };
+const SILENT_FRAME = Buffer.alloc(800, 0xff).toString("base64");
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
+
+function createStandin({ scenario, log }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  const actions = [];
+  const ingests = [];
+  const ingestResponses = [...(scenario.ingest_responses || [])];
+  const startedAt = Date.now();
+  let serverUrl = null;
+  let mediaSocket = null;
+  let mediaTimer = null;
+  let hungUp = false;
+  let currentSpeak = null;
+  let recording = null;
+  let onHangup = () => {};
+
+  const call = {
+    call_control_id: "sim-call-1",
+    from: "+15555550100",
+    to: "+15555550199",
+    ...scenario.call,
+  };
+
+  async function sendWebhook(eventType, extra = {}) {
+    const body = JSON.stringify({
+      data: {
+        // Unique like Telnyx's own event ids, so repeated events never sign identically.
+        id: crypto.randomUUID(),
+        event_type: eventType,
+        payload: { call_control_id: call.call_control_id, from: call.from, to: call.to, ...extra },
+      },
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .sign(null, Buffer.from(`${timestamp}|${body}`), privateKey)
+      .toString("base64");
+    log(`webhook ${eventType}`);
+    const response = await fetch(`${serverUrl}/telnyx/call`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "telnyx-timestamp": timestamp,
+        "telnyx-signature-ed25519": signature,
+      },
+      body,
+    });
+    if (!response.ok) {
+      throw new Error(`webhook ${eventType} rejected with ${response.status}`);
+    }
+  }
+
+  function later(ms, fn) {
+    setTimeout(() => {
+      if (hungUp) return;
+      Promise.resolve()
+        .then(fn)
+        .catch((error) => log(`error ${error.message}`));
+    }, ms);
+  }
+
+  function openMediaStream(streamUrl) {
+    mediaSocket = new WebSocket(streamUrl);
+    mediaSocket.on("open", () => {
+      log("media stream open");
+      // Each entry's digits go out one at a time so they cannot overtake each other.
+      (scenario.dtmf || []).forEach(({ at_ms: atMs, digits }) => {
+        later(atMs, async () => {
+          for (const digit of String(digits)) {
+            if (hungUp) return;
+            await sendWebhook("call.dtmf.received", { digit });
+            await new Promise((resolve) => setTimeout(resolve, DTMF_DIGIT_GAP_MS));
+          }
+        });
+      });
+      mediaTimer = setInterval(() => {
+        if (mediaSocket.readyState !== WebSocket.OPEN) return;
+        mediaSocket.send(JSON.stringify({ event: "media", media: { payload: SILENT_FRAME } }));
+      }, MEDIA_FRAME_MS);
+    });
+    mediaSocket.on("close", (code) => {
+      log(`media stream closed code=${code}`);
+      clearInterval(mediaTimer);
+    });
+    mediaSocket.on("error", (error) => log(`media stream error ${error.message}`));
+  }
+
+  function hangup(cause) {
+    if (hungUp) return;
+    later(0, async () => {
+      await sendWebhook("call.hangup", { hangup_cause: cause });
+      if (recording) {
+        const url = `https://recordings.invalid/sim-recording-1.${recording.format}`;
+        await sendWebhook("call.recording.saved", {
+          recording_id: "sim-recording-1",
+          channels: recording.channels,
+          recording_urls: { [recording.format]: url },
+        });
+      }
+      hungUp = true;
+      if (mediaSocket) mediaSocket.close();
+      onHangup();
+    });
+  }
+
+  function handleAction(action, body) {
+    if (action === "answer") {
+      later(20, () => sendWebhook("call.answered"));
+    } else if (action === "streaming_start") {
+      openMediaStream(body.stream_url);
+    } else if (action === "speak") {
+      const speakMs = scenario.speak_ms ?? DEFAULT_SPEAK_MS;
+      const clientState = body.client_state;
+      currentSpeak = clientState;
+      later(10, () => sendWebhook("call.speak.started", { client_state: clientState }));
+      later(speakMs, () => {
+        if (currentSpeak !== clientState) return null;
+        currentSpeak = null;
+        return sendWebhook("call.speak.ended", { client_state: clientState, status: "completed" });
+      });
+    } else if (action === "playback_stop" && currentSpeak) {
+      const clientState = currentSpeak;
+      currentSpeak = null;
+      later(10, () =>
+        sendWebhook("call.speak.ended", { client_state: clientState, status: "stopped" })
+      );
+    } else if (action === "transfer") {
+      const transfer = { ...DEFAULT_TRANSFER, ...scenario.transfer };
+      if (transfer.outcome === "bridged") {
+        later(transfer.after_ms, () => sendWebhook("call.bridged"));
+      } else {
+        later(transfer.after_ms, () =>
+          sendWebhook("call.hangup", {
+            call_control_id: `${call.call_control_id}-transfer`,
+            client_state: body.target_leg_client_state,
+            hangup_cause: "timeout",
+          })
+        );
+      }
+    } else if (action === "record_start") {
+      recording = body;
+    } else if (action === "hangup") {
+      hangup("normal_clearing");
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const raw = await readBody(req);
+    const url = new URL(req.url, "http://localhost");
+    const body = raw ? JSON.parse(raw) : null;
+
+    const actionMatch = url.pathname.match(/^\/v2\/calls\/([^/]+)\/actions\/([^/]+)$/);
+    if (req.method === "POST" && actionMatch) {
+      const action = actionMatch[2];
+      actions.push({ action, body, at_ms: Date.now() - startedAt });
+      log(`action ${action}${body?.payload ? ` "${body.payload}"` : ""}`);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ data: { result: "ok" } }));
+      handleAction(action, body || {});
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/voice/context") {
+      if (!scenario.context) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ context: scenario.context }));
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname.startsWith("/api/ingest/")) {
+      const status = ingestResponses.length > 0 ? ingestResponses.shift() : 201;
+      ingests.push({
+        path: url.pathname,
+        idempotency_key: req.headers["idempotency-key"] || null,
+        status,
+        body,
+      });
+      log(`ingest ${url.pathname} status=${status}`);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: status < 300 }));
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  return {
+    call,
+    actions,
+    ingests,
+    publicKey: publicKey.export({ format: "der", type: "spki" }).subarray(12).toString("base64"),
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+      });
+    },
+    setServerUrl(url) {
+      serverUrl = url;
+    },
+    startCall() {
+      return sendWebhook("call.initiated", { direction: "incoming", state: "parked" });
+    },
+    hangup,
+    onHangup(fn) {
+      onHangup = fn;
+    },
+    close() {
+      clearInterval(mediaTimer);
+      if (mediaSocket) mediaSocket.terminate();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createStandin };